@@ -1,108 +1,104 @@
-const fs = require('fs');
-const pdf = require('pdf-parse'); // npm install pdf-parse
 const qdrantService = require('../services/qdrantService');
+const ExtractionService = require('../services/extractionService');
+const RetrievalOptions = require('../services/retrievalOptions');
 
 const KnowledgeController = {
 
-    // --- Ingestion de Texte Brut (Notes manuelles) ---
-    ingestText: async (req, res) => {
-        try {
-            const { personaId } = req.params;
-            const { title, content } = req.body;
+    // ==========================================
+    // API INTERNE (appelée par gouvgpt.js en mode natif)
+    // ==========================================
+
+    /**
+     * Indexe un document (persona ou salon) dans Qdrant ; une version précédente du même nom
+     * est mise à jour chunk par chunk.
+     * Utilisé par la file d'ingestion : onStage signale le passage extraction -> embeddings.
+     * @param {object} doc - { personaId, roomId, sourceName, buffer, mimetype, filename, type, meta, onStage }
+     */
+    indexDocument: async ({ personaId = null, roomId = null, sourceName, buffer, mimetype, filename, type, meta = {}, onStage = () => {} }) => {
+        onStage('extracting');
+        const { segments, meta: docMeta } = await ExtractionService.extract(buffer, { mimetype, filename });
+
+        onStage('embedding');
+        // Ingestion incrémentale : seuls les chunks modifiés sont revectorisés
+        return qdrantService.ingestSegments(personaId, segments, {
+            ...meta,
+            filename: sourceName,
+            type,
+            ...(roomId ? { room_id: roomId } : {}),
+            ...docMeta
+        });
+    },
 
-            if (!content || !title) {
-                return res.status(400).json({ ok: false, error: "Titre et contenu requis" });
-            }
+    /**
+     * Retire de Qdrant tous les segments d'un document.
+     */
+    removeDocument: async (personaId, filename) => {
+        await qdrantService.deleteKnowledge(personaId, filename);
+    },
 
-            // 1. Nettoyage préventif (Update strategy)
-            await qdrantService.deleteKnowledge(personaId, title);
+    /**
+     * Retire de Qdrant un document joint à un salon.
+     */
+    removeRoomDocument: async (roomId, filename) => {
+        await qdrantService.deleteRoomKnowledge(roomId, filename);
+    },
 
-            // 2. Ingestion
-            const result = await qdrantService.ingestKnowledge(personaId, content, {
-                filename: title,
-                type: 'manual_note',
-                page_number: 1
-            });
+    // ==========================================
+    // HANDLERS HTTP
+    // ==========================================
 
-            res.json({ ok: true, stats: result });
+    // --- Explorateur : documents indexés d'un persona ---
+    listIndexedSources: async (req, res) => {
+        try {
+            const sources = await qdrantService.listSources(req.params.personaId);
+            res.json({ ok: true, sources });
         } catch (error) {
-            console.error(error);
-            res.status(500).json({ ok: false, error: error.message });
+            res.status(error.status || 500).json({ ok: false, error: error.message });
         }
     },
 
-    // --- Ingestion de Fichiers (PDF/TXT) ---
-    ingestFile: async (req, res) => {
+    // --- Explorateur : chunks d'un document (source, offset, limit) ---
+    listChunks: async (req, res) => {
         try {
             const { personaId } = req.params;
-            const file = req.file;
-
-            if (!file) return res.status(400).json({ ok: false, error: "Fichier manquant" });
-
-            let textContent = "";
-            let meta = { page_count: 1 };
-
-            // Extraction du contenu
-            if (file.mimetype === 'application/pdf') {
-                const dataBuffer = fs.readFileSync(file.path);
-                
-                // Extraction avec pdf-parse
-                // Pour une traçabilité page par page parfaite, on utiliserait un parser plus complexe
-                // Ici, on simule ou on utilise les métadonnées globales
-                const pdfData = await pdf(dataBuffer);
-                textContent = pdfData.text;
-                meta.page_count = pdfData.numpages;
-                meta.info = pdfData.info;
-
-            } else if (file.mimetype === 'text/plain') {
-                textContent = fs.readFileSync(file.path, 'utf8');
-            } else {
-                return res.status(400).json({ ok: false, error: "Format non supporté (PDF/TXT uniquement)" });
-            }
-
-            // 1. Suppression de l'ancienne version
-            await qdrantService.deleteKnowledge(personaId, file.originalname);
-
-            // 2. Ingestion
-            const result = await qdrantService.ingestKnowledge(personaId, textContent, {
-                filename: file.originalname,
-                type: 'file_upload',
-                ...meta
-            });
-
-            // 3. Cleanup fichier temporaire
-            try { fs.unlinkSync(file.path); } catch(e) {}
-
-            res.json({ ok: true, stats: result });
-
+            const { source } = req.query;
+            const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+            const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+            if (!source) return res.status(400).json({ ok: false, error: "Paramètre source requis" });
+            if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ ok: false, error: "offset doit être un entier positif" });
+            if (!Number.isInteger(limit) || limit < 1 || limit > 100) return res.status(400).json({ ok: false, error: "limit doit être un entier entre 1 et 100" });
+            const page = await qdrantService.listChunks(personaId, source, { offset, limit });
+            res.json({ ok: true, source, ...page });
         } catch (error) {
-            console.error(error);
-            res.status(500).json({ ok: false, error: error.message });
+            res.status(error.status || 500).json({ ok: false, error: error.message });
         }
     },
 
-    // --- Suppression d'un document spécifique ---
-    deleteDocument: async (req, res) => {
+    // --- Explorateur : chunk complet ---
+    getChunk: async (req, res) => {
         try {
-            const { personaId, filename } = req.params;
-            await qdrantService.deleteKnowledge(personaId, filename);
-            res.json({ ok: true, message: "Document supprimé de la mémoire vectorielle." });
+            const chunk = await qdrantService.getChunk(req.params.personaId, req.params.chunkId);
+            if (!chunk) return res.status(404).json({ ok: false, error: "Chunk introuvable" });
+            res.json({ ok: true, chunk });
         } catch (error) {
-            res.status(500).json({ ok: false, error: error.message });
+            res.status(error.status || 500).json({ ok: false, error: error.message });
         }
     },
-    
+
     // --- Test de recherche (Debug) ---
+    // Mêmes réglages que le chat : topK, scoreThreshold, hybrid, rerank, docType, legalRef, dateFrom, dateTo
     searchDebug: async (req, res) => {
         try {
             const { personaId } = req.params;
-            const { q } = req.query;
-            const results = await qdrantService.search(q, personaId);
-            res.json({ ok: true, results });
+            const { q, ...query } = req.query;
+            if (!q) return res.status(400).json({ ok: false, error: "Paramètre q requis" });
+            const { topK, ...options } = RetrievalOptions.parseQuery(query);
+            const results = await qdrantService.search(q, personaId, topK, options);
+            res.json({ ok: true, options: { topK, ...options }, results });
         } catch (error) {
-            res.status(500).json({ ok: false, error: error.message });
+            res.status(error.status || 500).json({ ok: false, error: error.message, details: error.details });
         }
     }
 };
 
-module.exports = KnowledgeController;
\ No newline at end of file
+module.exports = KnowledgeController;
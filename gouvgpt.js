@@ -1,7 +1,11 @@
 /**
  * gouvgpt.js — Orchestrateur Backend FinTraX
- * Mode: Persistance JSON Locale Complète + MinIO + n8n (Logs Renforcés & Métadonnées)
+ * Mode: Stockage transactionnel (STORAGE_BACKEND: "sqlite" par défaut, repli "json" si better-sqlite3 est absent) + MinIO + n8n
+ * Ingestion: backend configurable via INGEST_BACKEND ("n8n" par défaut, ou "native" = Qdrant en direct)
+ * Chat: backend configurable via CHAT_BACKEND ("n8n" par défaut, ou "native" = orchestrateur intégré)
  * Hybrid Task Store: Memory (Primary) + Disk (Backup)
+ * Accès: comptes locaux (admin / member / observer), session par cookie ou jeton Bearer
+ * Audit: journal chaîné en ajout seul (data/audit.jsonl) des actions d'administration et de chat
  */
 
 'use strict';
@@ -16,6 +20,21 @@ const multer = require('multer');
 const cors = require('cors');
 const Minio = require('minio');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const MentionService = require('./services/mentionService');
+const memoryService = require('./services/memoryService');
+const ExtractionService = require('./services/extractionService');
+const ingestionQueue = require('./services/ingestionQueue');
+const authService = require('./services/authService');
+const auditService = require('./services/auditService');
+const storage = require('./services/storageService');
+const minutesService = require('./services/minutesService');
+const historySearchService = require('./services/historySearchService');
+const RetrievalOptions = require('./services/retrievalOptions');
+const PersonaSettings = require('./services/personaSettings');
+const cabinetService = require('./services/cabinetService');
+const validationService = require('./services/validationService');
+const llmService = require('./services/llmService');
 
 const app = express();
 const PORT = Number(process.env.PORT || 4321);
@@ -27,6 +46,12 @@ const UPLOADS_DIR = path.join(__dirname, 'uploads');
 const PERSONAS_CONFIG_PATH = path.join(DATA_PATH, 'personas.config.json');
 const ROOMS_DATA_PATH = path.join(DATA_PATH, 'rooms.json');
 const TASKS_DATA_PATH = path.join(DATA_PATH, 'tasks.json');
+const INGEST_JOBS_DATA_PATH = path.join(DATA_PATH, 'ingest_jobs.json');
+// Données sensibles (comptes, sessions) : hors du répertoire servi statiquement
+const PRIVATE_DATA_PATH = path.join(__dirname, 'data');
+const AUDIT_LOG_PATH = path.join(PRIVATE_DATA_PATH, 'audit.jsonl');
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sqlite').toLowerCase();
+const SQLITE_DB_PATH = process.env.SQLITE_DB_PATH || path.join(PRIVATE_DATA_PATH, 'gouvbrain.db');
 
 // --- DONNÉES PAR DÉFAUT ---
 const DEFAULT_PERSONAS_DATA = {
@@ -49,37 +74,78 @@ const DEFAULT_TASKS_DATA = { tasks: [] };
 
 // --- GESTIONNAIRE DE TÂCHES HYBRIDE ---
 const taskStore = new Map();
+// Diffusion des événements de progression aux flux SSE (un canal par taskId)
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0);
+const TERMINAL_TASK_EVENTS = ['completed', 'failed'];
+// processing : en cours ; les autres statuts sont définitifs
+const TASK_STATUSES = ['processing', 'completed', 'error', 'timeout', 'cancelled', 'interrupted'];
+const FINAL_TASK_STATUSES = TASK_STATUSES.filter(s => s !== 'processing');
+// Délai maximal d'une question (surcharge possible par requête : timeoutSeconds)
+const CHAT_TASK_TIMEOUT_MS = Number(process.env.CHAT_TASK_TIMEOUT_MS || 300000);
+// Annulation des tâches en cours : taskId -> { controller: AbortController, timer } (non persisté)
+const taskControllers = new Map();
 
 /**
- * Initialise les répertoires et fichiers JSON nécessaires au fonctionnement.
+ * Initialise les répertoires et le stockage (import des fichiers JSON existants en SQLite).
  */
 async function initDataFiles() {
-    [DATA_PATH, UPLOADS_DIR].forEach(d => { 
+    [DATA_PATH, UPLOADS_DIR, PRIVATE_DATA_PATH].forEach(d => { 
         if (!fssync.existsSync(d)) {
             fssync.mkdirSync(d, { recursive: true });
         } 
     });
 
-    const filesToInit = [
-        { path: PERSONAS_CONFIG_PATH, default: DEFAULT_PERSONAS_DATA },
-        { path: ROOMS_DATA_PATH, default: DEFAULT_ROOMS_DATA },
-        { path: TASKS_DATA_PATH, default: DEFAULT_TASKS_DATA }
-    ];
+    await storage.init({
+        backend: STORAGE_BACKEND,
+        // better-sqlite3 est optionnel : seul un STORAGE_BACKEND=sqlite explicite exige le module
+        fallback: !process.env.STORAGE_BACKEND,
+        dbPath: SQLITE_DB_PATH,
+        collections: {
+            personas: { file: PERSONAS_CONFIG_PATH, default: DEFAULT_PERSONAS_DATA },
+            rooms: { file: ROOMS_DATA_PATH, default: DEFAULT_ROOMS_DATA },
+            tasks: { file: TASKS_DATA_PATH, default: DEFAULT_TASKS_DATA }
+        }
+    });
 
-    for (const file of filesToInit) {
-        if (!fssync.existsSync(file.path)) {
-            await writeJson(file.path, file.default);
+    // Données persistées : un fichier corrompu ou édité à la main bloque le démarrage plutôt que des routes en erreur
+    for (const [collection, schema] of [['personas', 'storedPersonas'], ['rooms', 'storedRooms']]) {
+        const details = validationService.check(schema, await storage.read(collection));
+        if (details.length) {
+            const list = details.slice(0, 10).map(d => `  - ${d.path || 'racine'} ${d.message}`).join('\n');
+            throw new Error(`[Init] Données "${collection}" invalides (${details.length} erreur(s)) :\n${list}`);
         }
     }
 
     // Chargement des tâches persistées au démarrage pour éviter les 404 après restart
     try {
-        const savedTasks = await readJson(TASKS_DATA_PATH, DEFAULT_TASKS_DATA);
+        const savedTasks = await storage.read('tasks');
         if (savedTasks && Array.isArray(savedTasks.tasks)) {
-            savedTasks.tasks.forEach(t => taskStore.set(t.id, t));
-            console.log(`[Init] ${taskStore.size} tâches restaurées depuis le cache.`);
+            // Une tâche en cours à l'arrêt du serveur ne reprendra pas : elle est close comme interrompue
+            const now = new Date().toISOString();
+            let interrupted = 0;
+            savedTasks.tasks.forEach(t => {
+                if (t.status === 'processing') {
+                    const error = "Tâche interrompue par un redémarrage du serveur";
+                    const events = t.events || [];
+                    Object.assign(t, { status: 'interrupted', error, updatedAt: now, events: [...events, { id: events.length, type: 'failed', data: { error, status: 'interrupted' }, at: now }] });
+                    interrupted++;
+                }
+                taskStore.set(t.id, t);
+            });
+            if (interrupted) await saveTasksToDisk();
+            console.log(`[Init] ${taskStore.size} tâches restaurées depuis le cache (${interrupted} interrompue(s)).`);
         }
     } catch (e) { console.warn("[Init] Erreur chargement tâches:", e.message); }
+
+    // Reprise de la file d'ingestion (les jobs interrompus sont remis en file)
+    await ingestionQueue.init(INGEST_JOBS_DATA_PATH, processIngestJob);
+
+    // Comptes et sessions (création du compte admin initial au premier démarrage)
+    await authService.init(PRIVATE_DATA_PATH);
+
+    // Journal d'audit (reprise de la chaîne de hachage)
+    await auditService.init(AUDIT_LOG_PATH);
 }
 
 /**
@@ -92,42 +158,115 @@ async function updateTask(taskId, updateData) {
     saveTasksToDisk(); 
 }
 
+/**
+ * Ajoute un événement de progression à la tâche et le diffuse aux abonnés SSE.
+ * Les événements sont conservés sur la tâche pour rejouer l'historique aux clients tardifs.
+ */
+function emitTaskEvent(taskId, type, data = {}) {
+    const task = taskStore.get(taskId);
+    if (!task) return;
+    const event = { id: (task.events || []).length, type, data, at: new Date().toISOString() };
+    task.events = [...(task.events || []), event];
+    taskEvents.emit(taskId, event);
+    saveTasksToDisk();
+}
+
+/**
+ * Clôt une tâche en cours (timeout, cancelled) et interrompt son traitement (appel n8n, LLM).
+ * Sans effet si la tâche est déjà terminée ou si sa réponse est en cours d'enregistrement.
+ * @returns {Promise<boolean>} true si la tâche a été close par cet appel
+ */
+async function abortTask(taskId, status, error) {
+    const task = taskStore.get(taskId);
+    if (!task || task.status !== 'processing' || !taskControllers.has(taskId)) return false;
+    await updateTask(taskId, { status, error });
+    emitTaskEvent(taskId, 'failed', { error, status });
+    taskControllers.get(taskId)?.controller.abort();
+    releaseTask(taskId);
+    return true;
+}
+
+/**
+ * Libère le contrôleur d'annulation et le minuteur d'une tâche.
+ */
+function releaseTask(taskId) {
+    const entry = taskControllers.get(taskId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    taskControllers.delete(taskId);
+}
+
+// Vue d'une tâche pour les listes (sans la réponse ni les événements)
+function taskSummary(task) {
+    return {
+        id: task.id, roomId: task.roomId, userId: task.userId, status: task.status, error: task.error,
+        messageId: task.messageId, timeoutMs: task.timeoutMs, createdAt: task.createdAt, updatedAt: task.updatedAt
+    };
+}
+
 /**
  * Récupère une tâche depuis la mémoire.
  */
 function getTask(taskId) { return taskStore.get(taskId); }
 
 /**
- * Persiste les tâches de la mémoire vers le fichier JSON (nettoyage après 24h).
+ * Persiste les tâches de la mémoire vers le stockage (nettoyage après 24h).
  */
 async function saveTasksToDisk() {
     try {
         const tasksArray = Array.from(taskStore.values());
         const oneDayAgo = new Date(Date.now() - 86400000);
         const activeTasks = tasksArray.filter(t => new Date(t.createdAt) > oneDayAgo);
-        await writeJson(TASKS_DATA_PATH, { tasks: activeTasks });
+        await storage.write('tasks', { tasks: activeTasks });
     } catch (e) { console.error("[Disk Save Error]", e.message); }
 }
 
-// --- Helpers JSON ---
-async function readJson(file, defaultVal) {
-    try { 
-        const data = await fs.readFile(file, 'utf8');
-        return JSON.parse(data); 
-    } catch (e) { return defaultVal; }
-}
-async function writeJson(file, data) {
-    await fs.writeFile(file, JSON.stringify(data, null, 2), 'utf8');
-}
-
 // --- CONFIGURATION WEBHOOKS & APIs ---
 const N8N_QDRANT_WEBHOOK = process.env.N8N_QDRANT_WEBHOOK || "http://192.168.12.75:5678/webhook-test/qdrant-ops";
 const N8N_CHAT_WEBHOOK = process.env.N8N_CHAT_WEBHOOK_URL; 
-const QDRANT_COLLECTION = "gouvbrain_knowledge";
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${GEMINI_API_KEY}`;
+const QDRANT_COLLECTION = process.env.QDRANT_COLLECTION || "gouvbrain_knowledge";
+// Fournisseur LLM de la génération de profils (défaut LLM_PROVIDER ; gemini si seule GEMINI_API_KEY est configurée)
+const PERSONA_LLM_PROVIDER = process.env.PERSONA_LLM_PROVIDER || (!process.env.LLM_PROVIDER && process.env.GEMINI_API_KEY ? 'gemini' : undefined);
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
+// --- BACKEND D'INGESTION ---
+// "n8n"    : MinIO + webhook N8N_QDRANT_WEBHOOK (historique)
+// "native" : MinIO + KnowledgeController (chunking, embeddings et Qdrant en process)
+const INGEST_BACKENDS = ['n8n', 'native'];
+let INGEST_BACKEND = (process.env.INGEST_BACKEND || 'n8n').toLowerCase();
+if (!INGEST_BACKENDS.includes(INGEST_BACKEND)) {
+    console.warn(`[Config] INGEST_BACKEND "${INGEST_BACKEND}" inconnu, repli sur "n8n".`);
+    INGEST_BACKEND = 'n8n';
+}
+
+// --- BACKEND DE CHAT ---
+// "n8n"    : délégation à N8N_CHAT_WEBHOOK (historique)
+// "native" : orchestrateur intégré (RAG par persona + LLM + synthèse du Chair)
+const CHAT_BACKENDS = ['n8n', 'native'];
+let CHAT_BACKEND = (process.env.CHAT_BACKEND || 'n8n').toLowerCase();
+if (!CHAT_BACKENDS.includes(CHAT_BACKEND)) {
+    console.warn(`[Config] CHAT_BACKEND "${CHAT_BACKEND}" inconnu, repli sur "n8n".`);
+    CHAT_BACKEND = 'n8n';
+}
+
+/**
+ * Charge le KnowledgeController à la demande : le client Qdrant n'est instancié qu'en mode natif.
+ */
+let knowledgeController = null;
+function getKnowledgeController() {
+    if (!knowledgeController) knowledgeController = require('./controllers/knowledgeController');
+    return knowledgeController;
+}
+
+/**
+ * Charge l'orchestrateur natif à la demande (mêmes raisons que le KnowledgeController).
+ */
+let chatOrchestrator = null;
+function getChatOrchestrator() {
+    if (!chatOrchestrator) chatOrchestrator = require('./services/orchestratorService');
+    return chatOrchestrator;
+}
+
 // --- MINIO ---
 const minioClient = new Minio.Client({
     endPoint: process.env.MINIO_ENDPOINT || 'localhost',
@@ -145,217 +284,1063 @@ const MINIO_BUCKET = process.env.MINIO_BUCKET || 'gouvbrain-knowledge';
 })();
 
 // --- MIDDLEWARE ---
-app.use(cors());
+// CORS : uniquement les origines listées dans CORS_ORIGINS (séparées par des virgules) ; sinon même origine
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: (origin, cb) => cb(null, !origin || CORS_ORIGINS.includes(origin)), credentials: true }));
 app.use(express.json({ limit: '50mb' }));
 app.set('view engine', 'ejs');
+// Les fichiers JSON de public/data ne sont jamais servis tels quels
+app.use('/data', (req, res) => res.status(404).end());
 app.use(express.static(path.join(__dirname, 'public')));
 const upload = multer({ dest: path.join(__dirname, 'uploads') });
 
+// ==========================================
+// AUTHENTIFICATION & RÔLES
+// ==========================================
+
+const SESSION_COOKIE = 'gouvbrain_session';
+
+/**
+ * Jeton de session : en-tête "Authorization: Bearer <jeton>" (API) ou cookie (interface web).
+ */
+function readSessionToken(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    const cookie = (req.get('Cookie') || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+app.use((req, res, next) => {
+    req.user = authService.authenticate(readSessionToken(req));
+    next();
+});
+
+function requireAuth(req, res, next) {
+    if (!req.user) return res.status(401).json({ ok: false, error: "Authentification requise" });
+    next();
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) return res.status(401).json({ ok: false, error: "Authentification requise" });
+        if (!roles.includes(req.user.role)) return res.status(403).json({ ok: false, error: "Accès refusé" });
+        next();
+    };
+}
+
+/**
+ * Pages web : redirection vers /login (non connecté) ou vers l'accueil (rôle insuffisant).
+ */
+function requirePage(...roles) {
+    return (req, res, next) => {
+        if (!req.user) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        if (roles.length && !roles.includes(req.user.role)) return res.redirect('/');
+        next();
+    };
+}
+
+/**
+ * Un salon est visible par les administrateurs et par ses membres ; les observateurs n'y écrivent pas.
+ */
+function canAccessRoom(user, room) {
+    return user.role === 'admin' || (room.members || []).includes(user.id);
+}
+
+function canWriteRoom(user, room) {
+    return user.role !== 'observer' && canAccessRoom(user, room);
+}
+
+/**
+ * Salon accessible à l'utilisateur, sinon erreur 404 (l'existence d'un salon n'est pas révélée) ou 403.
+ */
+function assertRoomAccess(user, room, { write = false } = {}) {
+    if (!room || !canAccessRoom(user, room)) throw Object.assign(new Error("Salon introuvable"), { status: 404 });
+    if (write && !canWriteRoom(user, room)) throw Object.assign(new Error("Accès en lecture seule"), { status: 403 });
+    return room;
+}
+
+/**
+ * Un salon archivé reste consultable mais n'accepte plus de questions ni de documents.
+ */
+function assertRoomOpen(room) {
+    if (room.archivedAt) throw Object.assign(new Error("Salon archivé : le désarchiver pour poursuivre la séance"), { status: 409 });
+    return room;
+}
+
+// Suppression réservée à l'administrateur et au créateur du salon
+function canDeleteRoom(user, room) {
+    return user.role === 'admin' || (room.createdBy === user.id && user.role !== 'observer');
+}
+
+/**
+ * Trace une action dans le journal d'audit. Une écriture impossible est signalée sans faire échouer la requête.
+ * @param {object} req - Requête (ou { user, ip } hors requête)
+ * @param {string} action - Ex: "persona.update", "knowledge.upload", "chat.ask"
+ * @param {object} target - { type, id, name }
+ * @param {*} [payload] - Charge utile dont l'empreinte sha256 est conservée
+ * @param {object} [details] - Éléments lisibles utiles à l'inspection
+ */
+async function audit(req, action, target, payload, details) {
+    try {
+        await auditService.record({ actor: req.user, action, target, payload, details, ip: req.ip });
+    } catch (e) { console.error(`[Audit] Écriture impossible (${action}):`, e.message); }
+}
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        let session;
+        try {
+            session = await authService.login(username, password);
+        } catch (e) {
+            await audit(req, 'auth.login_failed', { type: 'user', name: String(username || '') });
+            throw e;
+        }
+        await audit({ user: session.user, ip: req.ip }, 'auth.login', { type: 'user', id: session.user.id, name: session.user.username });
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true, sameSite: 'lax', secure: process.env.COOKIE_SECURE === 'true',
+            expires: new Date(session.expiresAt), path: '/'
+        });
+        res.json({ ok: true, ...session });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    const token = readSessionToken(req);
+    if (req.user) await audit(req, 'auth.logout', { type: 'user', id: req.user.id, name: req.user.username });
+    if (token) authService.logout(token);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ ok: true });
+});
+
+// Toutes les autres routes API exigent une session ; l'administration exige le rôle admin
+app.use('/api', requireAuth);
+app.use('/api/admin', requireRole('admin'));
+
+app.get('/api/auth/me', (req, res) => res.json({ ok: true, user: req.user }));
+
+// Admin : comptes utilisateurs
+app.get('/api/admin/users', (req, res) => res.json({ ok: true, users: authService.listUsers() }));
+
+app.post('/api/admin/users', async (req, res) => {
+    try {
+        const user = await authService.createUser(req.body);
+        await audit(req, 'user.create', { type: 'user', id: user.id, name: user.username }, undefined, { role: user.role });
+        res.json({ ok: true, user });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+app.patch('/api/admin/users/:id', async (req, res) => {
+    try {
+        const user = await authService.updateUser(req.params.id, req.body);
+        // Le mot de passe n'est jamais journalisé : seul le fait qu'il ait changé apparaît
+        const { password, ...changes } = req.body;
+        await audit(req, 'user.update', { type: 'user', id: user.id, name: user.username }, undefined, { ...changes, passwordChanged: password !== undefined });
+        res.json({ ok: true, user });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+app.delete('/api/admin/users/:id', async (req, res) => {
+    try {
+        const user = authService.getUser(req.params.id);
+        await authService.deleteUser(req.params.id);
+        await audit(req, 'user.delete', { type: 'user', id: req.params.id, name: user?.username });
+        res.json({ ok: true });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// Admin : journal d'audit (filtres : actor, action, targetType, targetId, from, to, limit, offset, order)
+function auditFilters(query) {
+    const { actor, action, targetType, targetId, from, to, limit, offset, order } = validationService.assert('auditQueryInput', query, 'Filtres invalides');
+    const invalidDates = [['from', from], ['to', to]].filter(([, v]) => v && Number.isNaN(new Date(v).getTime()));
+    if (invalidDates.length) throw validationService.error(invalidDates.map(([path]) => ({ path, message: "n'est pas une date valide" })), 'Filtres invalides');
+    return { actor, action, targetType, targetId, from, to, order, limit: limit === undefined ? 100 : Number(limit), offset: Number(offset || 0) };
+}
+
+app.get('/api/admin/audit', async (req, res) => {
+    try {
+        const result = await auditService.query(auditFilters(req.query));
+        res.json({ ok: true, ...result });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
+});
+
+app.get('/api/admin/audit/export.csv', async (req, res) => {
+    try {
+        // Export complet par défaut (limit=0), pour l'inspection d'une séance entière
+        const { entries } = await auditService.query({ ...auditFilters(req.query), limit: Number(req.query.limit || 0) });
+        await audit(req, 'audit.export', { type: 'audit' }, req.query, { count: entries.length });
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit_${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send('\uFEFF' + auditService.toCsv(entries)); // BOM : accents lisibles dans Excel
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
+});
+
+app.get('/api/admin/audit/verify', async (req, res) => {
+    try {
+        res.json({ ok: true, integrity: await auditService.verify() });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
 // ==========================================
 // ROUTES API (PERSONAS & ROOMS)
 // ==========================================
 
 // Liste tous les personas (format JSON)
 app.get('/api/data/personas', async (req, res) => {
-    const data = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
+    const data = await storage.read('personas');
     res.json(data);
 });
 
 // Admin : Liste Personas
 app.get('/api/admin/personas', async (req, res) => {
-    const data = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
+    const data = await storage.read('personas');
     res.json(data);
 });
 
 // Admin : Sauvegarder/Mettre à jour Persona
 app.post('/api/admin/personas', async (req, res) => {
     try {
-        const persona = req.body;
-        const config = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
-        const index = config.personas.findIndex(p => p.id === persona.id);
-        
-        if (index > -1) {
-            config.personas[index] = { ...config.personas[index], ...persona };
-        } else {
-            persona.id = persona.id || crypto.randomUUID();
-            persona.knowledge = [];
+        const { index, persona } = await storage.update('personas', config => {
+            const index = config.personas.findIndex(p => p.id === req.body?.id);
+            // Mise à jour partielle d'un persona existant ; création sinon (name et ministry requis)
+            const changes = validationService.assert(index > -1 ? 'personaInput' : 'personaCreateInput', req.body, 'Persona invalide');
+            if (index > -1) {
+                config.personas[index] = { ...config.personas[index], ...changes };
+                return { index, persona: config.personas[index] };
+            }
+            const persona = { ...changes, id: changes.id || crypto.randomUUID(), knowledge: [] };
             config.personas.push(persona);
-        }
-        await writeJson(PERSONAS_CONFIG_PATH, config);
+            return { index, persona };
+        });
+        await audit(req, index > -1 ? 'persona.update' : 'persona.create', { type: 'persona', id: persona.id, name: persona.ministry }, req.body, { fields: Object.keys(req.body) });
         res.json({ ok: true, persona });
-    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
 });
 
 // Admin : Supprimer Persona
 app.delete('/api/admin/personas/:id', async (req, res) => {
     try {
-        const config = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
-        config.personas = config.personas.filter(p => p.id !== req.params.id);
-        await writeJson(PERSONAS_CONFIG_PATH, config);
+        const deleted = await storage.update('personas', config => {
+            const deleted = config.personas.find(p => p.id === req.params.id);
+            config.personas = config.personas.filter(p => p.id !== req.params.id);
+            return deleted;
+        });
+        await audit(req, 'persona.delete', { type: 'persona', id: req.params.id, name: deleted?.ministry }, deleted);
         res.json({ ok: true });
     } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
-// Liste des Salons
+// Admin : Export du cabinet (tous les personas ou ?ids=a,b ; ?documents=true joint les fichiers MinIO dans un ZIP)
+app.get('/api/admin/cabinet/export', async (req, res) => {
+    try {
+        const config = await storage.read('personas');
+        const ids = req.query.ids ? String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean) : null;
+        const unknown = (ids || []).filter(id => !config.personas.some(p => p.id === id));
+        if (unknown.length) return res.status(404).json({ ok: false, error: `Persona introuvable : ${unknown.join(', ')}` });
+        const personas = ids ? config.personas.filter(p => ids.includes(p.id)) : config.personas;
+        if (!personas.length) return res.status(400).json({ ok: false, error: "Aucun persona à exporter" });
+
+        const includeDocuments = req.query.documents === 'true';
+        const exported = await cabinetService.exportBundle(personas, { includeDocuments, readObject: readMinioObject, exportedBy: req.user.username });
+        await audit(req, 'cabinet.export', { type: 'cabinet', name: `${personas.length} persona(s)` }, undefined, { personas: personas.map(p => p.id), includeDocuments });
+
+        res.setHeader('Content-Type', exported.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="cabinet-${new Date().toISOString().slice(0, 10)}.${exported.extension}"`);
+        res.send(exported.buffer);
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// Admin : Import d'un bundle de cabinet (fichier .json/.zip "bundle", ou bundle JSON en corps de requête)
+// ?dryRun=true : valide et renvoie le diff sans rien écrire
+app.post('/api/admin/cabinet/import', upload.single('bundle'), async (req, res) => {
+    try {
+        const { bundle, documents } = cabinetService.parse(req.file ? await fs.readFile(req.file.path) : req.body);
+        const config = await storage.read('personas');
+        const changes = cabinetService.diff(bundle, config.personas, documents);
+        const summary = { version: bundle.version, exportedAt: bundle.exportedAt || null, exportedBy: bundle.exportedBy || null, includesDocuments: !!bundle.includesDocuments };
+        if (req.query.dryRun === 'true') return res.json({ ok: true, dryRun: true, bundle: summary, changes });
+
+        // 1. Personas : création ou mise à jour des champs (knowledge n'est jamais écrasé)
+        await storage.update('personas', config => {
+            bundle.personas.forEach(incoming => {
+                const fields = cabinetService.personaFields(incoming);
+                const current = config.personas.find(p => p.id === incoming.id);
+                if (current) Object.assign(current, fields);
+                else config.personas.push({ id: incoming.id, ...fields, knowledge: [] });
+            });
+        });
+
+        // 2. Documents joints : nouvel objet MinIO puis nouvelle version indexée, comme un envoi
+        const jobs = [];
+        for (const change of changes) {
+            const incoming = bundle.personas.find(p => p.id === change.id);
+            for (const name of [...change.knowledge.added, ...change.knowledge.updated]) {
+                const k = incoming.knowledge.find(k => k.name === name);
+                const buffer = documents.get(k.document);
+                const format = cabinetService.documentFormat(k);
+                const objectName = `${change.id}/${Date.now()}_${format ? name : `${name.replace(/[^a-z0-9]/gi, '_')}.txt`}`;
+                await minioClient.putObject(MINIO_BUCKET, objectName, buffer, buffer.length, { 'Content-Type': format ? ExtractionService.mimeTypeOf(format) : 'text/plain' });
+                const { job } = await saveKnowledgeVersion(change.id, {
+                    id: crypto.randomUUID(),
+                    name,
+                    type: k.type,
+                    ...(format ? { format } : {}),
+                    date: new Date().toISOString(),
+                    minioKey: objectName,
+                    contentHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+                    meta: k.meta || {}
+                });
+                jobs.push({ personaId: change.id, name, jobId: job.id });
+            }
+        }
+
+        await audit(req, 'cabinet.import', { type: 'cabinet', name: `${bundle.personas.length} persona(s)` }, bundle, {
+            version: bundle.version, changes: changes.map(c => ({ id: c.id, action: c.action })), documents: jobs.length
+        });
+        res.json({ ok: true, dryRun: false, bundle: summary, changes, jobs });
+    } catch (e) {
+        res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details });
+    } finally {
+        if (req.file) try { await fs.unlink(req.file.path); } catch {}
+    }
+});
+
+// Liste des Salons (ceux dont l'utilisateur est membre ; tous pour un admin)
 app.get('/api/rooms', async (req, res) => {
-    const data = await readJson(ROOMS_DATA_PATH, DEFAULT_ROOMS_DATA);
-    data.rooms.reverse();
+    const data = await storage.read('rooms');
+    data.rooms = data.rooms.filter(r => canAccessRoom(req.user, r)).reverse();
     res.json(data);
 });
 
 // Détails d'un Salon
 app.get('/api/rooms/:id', async (req, res) => {
-    const data = await readJson(ROOMS_DATA_PATH, DEFAULT_ROOMS_DATA);
-    const room = data.rooms.find(r => r.id === req.params.id);
-    if (!room) return res.status(404).json({ ok: false, error: "Salon introuvable" });
-    res.json({ ok: true, room });
+    try {
+        const data = await storage.read('rooms');
+        const room = assertRoomAccess(req.user, data.rooms.find(r => r.id === req.params.id));
+        res.json({ ok: true, room });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
 });
 
-// Créer un Salon
-app.post('/api/rooms', async (req, res) => {
+// Créer un Salon (le créateur en est membre ; memberIds ajoute d'autres comptes)
+app.post('/api/rooms', requireRole('admin', 'member'), async (req, res) => {
     try {
-        const { name, selectedPersonaIds } = req.body;
-        const roomsData = await readJson(ROOMS_DATA_PATH, DEFAULT_ROOMS_DATA);
+        const { name, selectedPersonaIds, memberIds } = validationService.assert('roomCreateInput', req.body, 'Salon invalide');
+        await assertKnownPersonas(selectedPersonaIds, 'selectedPersonaIds');
+        const known = new Set(authService.listUsers().map(u => u.id));
         const newRoom = {
             id: crypto.randomUUID(),
             name: name || `Conseil du ${new Date().toLocaleDateString()}`,
             createdAt: new Date().toISOString(),
+            createdBy: req.user.id,
+            members: [...new Set([req.user.id, ...(memberIds || []).filter(id => known.has(id))])],
             activePersonas: selectedPersonaIds || [],
             files: [],
             messages: [] 
         };
-        roomsData.rooms.push(newRoom);
-        await writeJson(ROOMS_DATA_PATH, roomsData);
+        await storage.update('rooms', roomsData => { roomsData.rooms.push(newRoom); });
+        await audit(req, 'room.create', { type: 'room', id: newRoom.id, name: newRoom.name }, req.body, { members: newRoom.members, personas: newRoom.activePersonas });
         res.json({ ok: true, room: newRoom });
-    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
+});
+
+// Admin : Membres d'un Salon
+app.put('/api/rooms/:id/members', requireRole('admin'), async (req, res) => {
+    try {
+        const { memberIds } = validationService.assert('roomMembersInput', req.body, 'Membres invalides');
+        const known = new Set(authService.listUsers().map(u => u.id));
+        const room = await storage.update('rooms', roomsData => {
+            const room = roomsData.rooms.find(r => r.id === req.params.id);
+            if (!room) throw Object.assign(new Error("Salon introuvable"), { status: 404 });
+            room.members = [...new Set(memberIds.filter(id => known.has(id)))];
+            return room;
+        });
+        await audit(req, 'room.members', { type: 'room', id: room.id, name: room.name }, req.body, { members: room.members });
+        res.json({ ok: true, room });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
+});
+
+/**
+ * Refuse (400) les identifiants de personas inconnus ; field sert de préfixe aux chemins d'erreur.
+ */
+async function assertKnownPersonas(ids = [], field) {
+    const known = new Set((await storage.read('personas')).personas.map(p => p.id));
+    const details = ids.map((id, i) => known.has(id) ? null : { path: `${field}[${i}]`, message: `ne correspond à aucun persona (${id})` }).filter(Boolean);
+    if (details.length) throw validationService.error(details, 'Salon invalide');
+}
+
+/**
+ * Modifie un salon accessible en écriture ; mutate(room) applique le changement dans la transaction.
+ */
+async function updateRoom(user, roomId, mutate) {
+    return storage.update('rooms', roomsData => {
+        const room = assertRoomAccess(user, roomsData.rooms.find(r => r.id === roomId), { write: true });
+        mutate(room);
+        room.updatedAt = new Date().toISOString();
+        return room;
+    });
+}
+
+// Renommer un salon / convoquer ou libérer des ministres en cours de séance
+app.patch('/api/rooms/:id', async (req, res) => {
+    try {
+        const { name, activePersonas } = validationService.assert('roomUpdateInput', req.body, 'Salon invalide');
+        if (activePersonas !== undefined) await assertKnownPersonas(activePersonas, 'activePersonas');
+
+        const previous = {};
+        const room = await updateRoom(req.user, req.params.id, room => {
+            if (name !== undefined) { previous.name = room.name; room.name = name.trim(); }
+            if (activePersonas !== undefined) {
+                previous.activePersonas = room.activePersonas;
+                room.activePersonas = activePersonas;
+            }
+        });
+        await audit(req, 'room.update', { type: 'room', id: room.id, name: room.name }, req.body, { previous, name: room.name, personas: room.activePersonas });
+        res.json({ ok: true, room });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
+});
+
+// Archiver / désarchiver un salon
+app.post('/api/rooms/:id/archive', async (req, res) => {
+    try {
+        const room = await updateRoom(req.user, req.params.id, room => {
+            room.archivedAt = room.archivedAt || new Date().toISOString();
+            room.archivedBy = room.archivedBy || req.user.id;
+        });
+        await audit(req, 'room.archive', { type: 'room', id: room.id, name: room.name });
+        res.json({ ok: true, room });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+app.post('/api/rooms/:id/unarchive', async (req, res) => {
+    try {
+        const room = await updateRoom(req.user, req.params.id, room => {
+            delete room.archivedAt;
+            delete room.archivedBy;
+        });
+        await audit(req, 'room.unarchive', { type: 'room', id: room.id, name: room.name });
+        res.json({ ok: true, room });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// Supprimer un salon (documents joints retirés de l'index et de MinIO)
+app.delete('/api/rooms/:id', async (req, res) => {
+    try {
+        const room = await storage.update('rooms', roomsData => {
+            const room = assertRoomAccess(req.user, roomsData.rooms.find(r => r.id === req.params.id));
+            if (!canDeleteRoom(req.user, room)) throw Object.assign(new Error("Seul le créateur du salon ou un administrateur peut le supprimer"), { status: 403 });
+            roomsData.rooms = roomsData.rooms.filter(r => r.id !== room.id);
+            return room;
+        });
+
+        for (const doc of room.files || []) {
+            if (doc.jobId) ingestionQueue.cancel(doc.jobId);
+            try { await removeIndexedDocument({ roomId: room.id }, doc.name); } catch (e) { console.warn(`[Rooms] Désindexation de ${doc.name}:`, e.message); }
+            if (doc.minioKey) try { await minioClient.removeObject(MINIO_BUCKET, doc.minioKey); } catch {}
+        }
+        try { await historySearchService.removeRoom(room.id); } catch (e) { console.warn("[Rooms] Index de l'historique:", e.message); }
+        await audit(req, 'room.delete', { type: 'room', id: room.id, name: room.name }, undefined, { messages: (room.messages || []).length, files: (room.files || []).map(f => f.name) });
+        res.json({ ok: true });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// Bifurquer : nouveau salon reprenant l'historique jusqu'au message choisi (inclus)
+app.post('/api/rooms/:id/fork', requireRole('admin', 'member'), async (req, res) => {
+    try {
+        const input = validationService.assert('roomForkInput', req.body, 'Bifurcation invalide');
+        const { messageId, messageIndex, name } = input;
+        const roomsData = await storage.read('rooms');
+        const source = assertRoomAccess(req.user, roomsData.rooms.find(r => r.id === req.params.id));
+        const messages = source.messages || [];
+        // Les messages antérieurs à l'introduction des identifiants sont désignés par leur position
+        const index = messageId ? messages.findIndex(m => m.id === messageId) : messageIndex;
+        if (!Number.isInteger(index) || index < 0 || index >= messages.length) return res.status(404).json({ ok: false, error: "Message introuvable" });
+
+        const forked = {
+            id: crypto.randomUUID(),
+            name: String(name || '').trim() || `${source.name} (suite)`,
+            createdAt: new Date().toISOString(),
+            createdBy: req.user.id,
+            members: [req.user.id],
+            activePersonas: [...(source.activePersonas || [])],
+            files: [],
+            messages: messages.slice(0, index + 1).map(m => ({ ...m, id: m.id || crypto.randomUUID() })),
+            forkedFrom: { roomId: source.id, messageId: messages[index].id || null, messageIndex: index }
+        };
+        await storage.update('rooms', roomsData => { roomsData.rooms.push(forked); });
+        await audit(req, 'room.fork', { type: 'room', id: forked.id, name: forked.name }, input, { from: source.id, messageIndex: index, messages: forked.messages.length });
+        res.json({ ok: true, room: forked });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
+});
+
+// Recherche dans l'historique des salons accessibles (mots-clés ou sémantique)
+// Filtres : ministry (libellé ou id), roomId, from / to (dates ISO), kind (question | answer | synthesis)
+app.get('/api/search', async (req, res) => {
+    try {
+        const { q, mode, ministry, roomId, from, to, kind, limit } = req.query;
+        const { rooms } = await storage.read('rooms');
+        const result = await historySearchService.search(rooms.filter(r => canAccessRoom(req.user, r)), { q, mode, ministry, roomId, from, to, kind, limit });
+        res.json({ ok: true, ...result });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// Compte rendu de séance (PDF ou DOCX) : questions, réponses, synthèses et sources citées
+app.get('/api/rooms/:id/export', async (req, res) => {
+    try {
+        const format = String(req.query.format || 'pdf').toLowerCase();
+        const roomsData = await storage.read('rooms');
+        const room = assertRoomAccess(req.user, roomsData.rooms.find(r => r.id === req.params.id));
+        const { personas } = await storage.read('personas');
+        const { buffer, contentType, extension } = await minutesService.render(room, personas, format);
+
+        const basename = `compte-rendu_${room.name}_${new Date().toISOString().slice(0, 10)}`;
+        const asciiName = basename.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w.-]+/g, '_');
+        await audit(req, 'room.export', { type: 'room', id: room.id, name: room.name }, undefined, { format, messages: (room.messages || []).length });
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${asciiName}.${extension}"; filename*=UTF-8''${encodeURIComponent(basename)}.${extension}`
+        });
+        res.send(buffer);
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
 });
 
 // ==========================================
-// ROUTES INGESTION (Node -> MinIO -> n8n)
+// FILE D'INGESTION (MinIO -> n8n | Qdrant natif, en arrière-plan)
 // ==========================================
 
-// 1. Ingestion de FICHIER (PDF/TXT) avec métadonnées
+/**
+ * Lit un objet MinIO en mémoire.
+ */
+async function readMinioObject(objectName) {
+    const stream = await minioClient.getObject(MINIO_BUCKET, objectName);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Retrouve l'entrée (knowledge d'un persona ou fichier de salon) visée par un job.
+ */
+async function findJobTarget(target) {
+    if (target.personaId) {
+        const config = await storage.read('personas');
+        const p = config.personas.find(p => p.id === target.personaId);
+        return (p?.knowledge || []).find(k => k.id === target.docId) || null;
+    }
+    const roomsData = await storage.read('rooms');
+    const room = roomsData.rooms.find(r => r.id === target.roomId);
+    return (room?.files || []).find(f => f.id === target.docId) || null;
+}
+
+/**
+ * Retire un document de l'index vectoriel (natif ou via n8n).
+ * @param {object} target - { personaId } ou { roomId }
+ * @param {string} sourceName - Nom de source indexé (titre pour les notes)
+ * @param {string} [n8nFilename] - Nom transmis à n8n (historiquement le paramètre de route)
+ */
+async function removeIndexedDocument(target, sourceName, n8nFilename = sourceName) {
+    if (INGEST_BACKEND === 'native') {
+        if (target.roomId) await getKnowledgeController().removeRoomDocument(target.roomId, sourceName);
+        else await getKnowledgeController().removeDocument(target.personaId, sourceName);
+    } else {
+        const n8nPayload = { action: "delete", bucket: MINIO_BUCKET, collection: QDRANT_COLLECTION, filename: n8nFilename, personaId: target.personaId || null };
+        if (target.roomId) n8nPayload.room_id = target.roomId;
+        try { await fetch(N8N_QDRANT_WEBHOOK, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(n8nPayload) }); } catch (n8nErr) {}
+    }
+}
+
+/**
+ * Traite un job d'ingestion : lecture MinIO puis indexation native, ou délégation à n8n.
+ */
+async function processIngestJob(job, setState) {
+    if (!(await findJobTarget(job.target))) {
+        throw Object.assign(new Error("Document supprimé avant indexation"), { permanent: true });
+    }
+
+    let stats;
+    if (INGEST_BACKEND === 'native') {
+        const buffer = await readMinioObject(job.minioKey);
+        stats = await getKnowledgeController().indexDocument({
+            personaId: job.target.personaId || null,
+            roomId: job.target.roomId || null,
+            sourceName: job.sourceName,
+            buffer,
+            mimetype: job.mimeType,
+            filename: job.filename,
+            type: job.docType,
+            meta: { minio_key: job.minioKey, ...(job.meta || {}) },
+            onStage: setState
+        });
+    } else {
+        setState('embedding');
+        const presignedUrl = await minioClient.presignedGetObject(MINIO_BUCKET, job.minioKey, 24 * 60 * 60);
+        const n8nPayload = { action: "ingest", bucket: MINIO_BUCKET, collection: QDRANT_COLLECTION, file_url: presignedUrl, metadata: job.n8nMetadata };
+        console.log(`[Ingest Job] Transmission vers n8n (${job.sourceName})...`);
+        const n8nRes = await fetch(N8N_QDRANT_WEBHOOK, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(n8nPayload) });
+        if(!n8nRes.ok) throw new Error(`Erreur n8n: ${await n8nRes.text()}`);
+        stats = { backend: 'n8n' };
+    }
+
+    // Document supprimé pendant l'indexation : on ne laisse pas de vecteurs orphelins
+    if (!(await findJobTarget(job.target))) {
+        await removeIndexedDocument(job.target, job.sourceName, job.n8nMetadata?.filename);
+        throw Object.assign(new Error("Document supprimé pendant l'indexation"), { permanent: true });
+    }
+    return stats;
+}
+
+/**
+ * Reporte l'état d'un job sur l'entrée du document (persona.knowledge ou room.files).
+ * L'entrée est retrouvée par son id (unique par version) : elle est écrite avant la mise en file.
+ */
+async function syncJobStatus(job) {
+    const apply = (entry) => {
+        if (!entry) return;
+        entry.jobId = job.id;
+        entry.status = job.state;
+        entry.error = job.state === 'failed' ? job.error : null;
+        if (job.state === 'indexed') { entry.indexedAt = job.indexedAt; entry.chunkCount = job.stats?.count ?? null; }
+    };
+
+    if (job.target.personaId) {
+        await storage.update('personas', config => {
+            const p = config.personas.find(p => p.id === job.target.personaId);
+            apply((p?.knowledge || []).find(k => k.id === job.target.docId));
+        });
+    } else {
+        await storage.update('rooms', roomsData => {
+            const room = roomsData.rooms.find(r => r.id === job.target.roomId);
+            apply((room?.files || []).find(f => f.id === job.target.docId));
+        });
+    }
+}
+
+// Les mises à jour passent par le verrou du stockage, dans l'ordre des événements
+ingestionQueue.on('update', job => {
+    syncJobStatus(job).catch(e => console.error("[Ingest Queue] Synchro statut:", e.message));
+});
+
+/**
+ * Empreinte sha256 d'un fichier temporaire (multer).
+ */
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fssync.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Compare un envoi à l'entrée existante du même nom : 'new', 'updated' ou 'unchanged'.
+ * Un document dont l'indexation a échoué est toujours réindexé.
+ */
+function classifyUpload(previous, contentHash) {
+    if (!previous) return 'new';
+    return previous.contentHash === contentHash && previous.status !== 'failed' ? 'unchanged' : 'updated';
+}
+
+/**
+ * Libère la version remplacée d'un document de salon : job en file annulé, objet MinIO supprimé.
+ */
+async function releaseSupersededDocument(previous) {
+    if (!previous) return;
+    if (previous.jobId) ingestionQueue.cancel(previous.jobId);
+    if (previous.minioKey) try { await minioClient.removeObject(MINIO_BUCKET, previous.minioKey); } catch {}
+}
+
+// ==========================================
+// VERSIONS DES DOCUMENTS DE PERSONA
+// ==========================================
+// Chaque entrée knowledge porte un numéro de version et l'historique de ses versions
+// précédentes (objets MinIO conservés). Un document supprimé est archivé dans
+// persona.knowledgeArchive avec son historique, et peut être restauré.
+
+/**
+ * Fige une entrée knowledge en version d'historique (sans état d'indexation).
+ */
+function snapshotVersion(entry, reason) {
+    const { history, status, jobId, error, deletedAt, ...version } = entry;
+    return { ...version, version: entry.version || 1, archivedAt: new Date().toISOString(), reason };
+}
+
+/**
+ * Installe une nouvelle version courante d'un document de persona.
+ * La version active (ou archivée) du même nom rejoint l'historique.
+ */
+function installKnowledgeVersion(persona, entry) {
+    persona.knowledge = persona.knowledge || [];
+    persona.knowledgeArchive = persona.knowledgeArchive || [];
+    const active = persona.knowledge.find(k => k.name === entry.name);
+    const archived = persona.knowledgeArchive.find(k => k.name === entry.name);
+    const base = active || archived;
+
+    if (base) {
+        const history = base.history || [];
+        // Restaurer un document supprimé dans sa dernière version ne duplique pas l'historique
+        const skipBase = !active && entry.restoredFrom === (base.version || 1);
+        entry.history = skipBase ? history : [...history, snapshotVersion(base, active ? 'replaced' : 'deleted')];
+        entry.version = Math.max(base.version || 1, ...history.map(v => v.version)) + 1;
+    } else {
+        entry.history = [];
+        entry.version = 1;
+    }
+
+    persona.knowledge = persona.knowledge.filter(k => k.name !== entry.name);
+    persona.knowledgeArchive = persona.knowledgeArchive.filter(k => k.name !== entry.name);
+    persona.knowledge.push(entry);
+    return active || null;
+}
+
+/**
+ * Met en file l'indexation d'une entrée knowledge (fichier ou note) depuis son objet MinIO.
+ */
+function enqueuePersonaKnowledge(personaId, entry) {
+    const isNote = entry.type === 'text';
+    const meta = entry.meta || {};
+    const filename = isNote ? `${entry.name.replace(/[^a-z0-9]/gi, '_')}.txt` : entry.name;
+    const mimeType = isNote ? 'text/plain' : ExtractionService.mimeTypeOf(entry.format);
+    const common = { filename, personaId, minio_key: entry.minioKey, content_hash: entry.contentHash, version: entry.version };
+
+    return ingestionQueue.enqueue({
+        target: { personaId, docId: entry.id },
+        sourceName: entry.name, // En natif, les notes sont indexées sous leur titre
+        filename,
+        mimeType,
+        docType: isNote ? 'manual_note' : 'file_upload',
+        minioKey: entry.minioKey,
+        meta: { ...(isNote ? { page_number: 1 } : {}), ...meta, content_hash: entry.contentHash, version: entry.version },
+        n8nMetadata: isNote
+            ? { ...common, type: "text", title: entry.name, ...meta }
+            : { ...common, type: "file", mimeType, format: entry.format, ...meta }
+    });
+}
+
+/**
+ * Enregistre une nouvelle version (envoi ou restauration) puis lance son indexation.
+ */
+async function saveKnowledgeVersion(personaId, entry) {
+    // L'entrée est écrite avant la mise en file : le job la retrouve dès son démarrage
+    entry.status = 'queued';
+    const replaced = await storage.update('personas', config => {
+        const p = config.personas.find(p => p.id === personaId);
+        if (!p) throw Object.assign(new Error("Persona introuvable"), { status: 404 });
+        return installKnowledgeVersion(p, entry);
+    });
+    if (replaced?.jobId) ingestionQueue.cancel(replaced.jobId);
+
+    const job = enqueuePersonaKnowledge(personaId, entry);
+    entry.jobId = job.id;
+    return { entry, job };
+}
+
+// ==========================================
+// ROUTES INGESTION (Node -> MinIO -> file d'ingestion)
+// ==========================================
+
+// 1. Ingestion de FICHIER (PDF/TXT/DOCX/ODT/HTML/Markdown) avec métadonnées
 app.post('/api/admin/personas/:personaId/knowledge/file', upload.single('file'), async (req, res) => {
     try {
         const { personaId } = req.params;
         const file = req.file;
         let customMeta = {};
         if (req.body.meta) {
-            try { customMeta = JSON.parse(req.body.meta); } catch(e) { console.warn("Erreur parsing meta", e); }
+            try { customMeta = JSON.parse(req.body.meta); } catch(e) { throw Object.assign(new Error("meta doit être un objet JSON"), { status: 400 }); }
         }
+        validationService.assert('knowledgeMeta', customMeta, 'Métadonnées invalides');
 
-        if (!file) throw new Error("Fichier manquant");
+        if (!file) throw Object.assign(new Error("Fichier manquant"), { status: 400 });
 
-        const objectName = `${personaId}/${Date.now()}_${file.originalname}`;
-        const fileStream = fssync.createReadStream(file.path);
-        await minioClient.putObject(MINIO_BUCKET, objectName, fileStream, file.size, { 'Content-Type': file.mimetype });
-        const presignedUrl = await minioClient.presignedGetObject(MINIO_BUCKET, objectName, 24 * 60 * 60);
-        
-        const n8nPayload = {
-            action: "ingest",
-            bucket: MINIO_BUCKET,
-            collection: QDRANT_COLLECTION,
-            file_url: presignedUrl,
-            metadata: { 
-                filename: file.originalname, 
-                personaId: personaId, 
-                type: "file", 
-                mimeType: file.mimetype, 
-                minio_key: objectName,
-                ...customMeta 
-            }
-        };
+        const format = ExtractionService.detectFormat(file.mimetype, file.originalname);
+        if (!format) throw Object.assign(new Error(`Format non supporté (${ExtractionService.SUPPORTED_LABEL} uniquement)`), { status: 400 });
+        const contentType = ExtractionService.mimeTypeOf(format);
 
-        console.log(`[Ingest File] Transmission vers n8n...`);
-        const n8nRes = await fetch(N8N_QDRANT_WEBHOOK, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(n8nPayload) });
-        if(!n8nRes.ok) throw new Error(`Erreur n8n: ${await n8nRes.text()}`);
+        const config = await storage.read('personas');
+        const persona = config.personas.find(p => p.id === personaId);
+        if (!persona) throw Object.assign(new Error("Persona introuvable"), { status: 404 });
 
-        const config = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
-        const p = config.personas.find(p => p.id === personaId);
-        if (p) {
-            p.knowledge = p.knowledge || [];
-            p.knowledge = p.knowledge.filter(k => k.name !== file.originalname);
-            p.knowledge.push({ 
-                id: crypto.randomUUID(), 
-                name: file.originalname, 
-                type: 'file', 
-                date: new Date().toISOString(), 
-                minioKey: objectName,
-                meta: customMeta
-            });
-            await writeJson(PERSONAS_CONFIG_PATH, config);
+        // Ré-envoi à l'identique : rien à faire
+        const contentHash = await sha256File(file.path);
+        const previous = (persona.knowledge || []).find(k => k.name === file.originalname);
+        const change = classifyUpload(previous, contentHash);
+        if (change === 'unchanged') {
+            try { await fs.unlink(file.path); } catch {}
+            await audit(req, 'knowledge.upload', { type: 'persona', id: personaId, name: file.originalname }, { contentHash }, { change });
+            return res.json({ ok: true, backend: INGEST_BACKEND, change, jobId: previous.jobId || null, status: previous.status || 'indexed', document: previous });
         }
+
+        // Chaque version garde son propre objet MinIO (historique consultable et restaurable)
+        const objectName = `${personaId}/${Date.now()}_${file.originalname}`;
+        const fileStream = fssync.createReadStream(file.path);
+        await minioClient.putObject(MINIO_BUCKET, objectName, fileStream, file.size, { 'Content-Type': contentType });
         try { await fs.unlink(file.path); } catch {}
-        res.json({ ok: true });
-    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+
+        const { entry, job } = await saveKnowledgeVersion(personaId, { 
+            id: crypto.randomUUID(), 
+            name: file.originalname, 
+            type: 'file', 
+            format: format,
+            date: new Date().toISOString(), 
+            minioKey: objectName,
+            contentHash,
+            meta: customMeta
+        });
+        await audit(req, 'knowledge.upload', { type: 'persona', id: personaId, name: entry.name }, { contentHash, meta: customMeta }, { change, version: entry.version, jobId: job.id });
+        res.status(202).json({ ok: true, backend: INGEST_BACKEND, change, jobId: job.id, status: job.state, document: entry });
+    } catch (e) {
+        if (req.file) try { await fs.unlink(req.file.path); } catch {}
+        res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details });
+    }
 });
 
 // 2. Ingestion de TEXTE (Note) avec métadonnées
 app.post('/api/admin/personas/:personaId/knowledge/text', async (req, res) => {
     try {
-        const { personaId, title, content, meta } = req.body;
+        const { personaId } = req.params;
+        const { title, content, meta } = validationService.assert('knowledgeNoteInput', req.body, 'Note invalide');
+
+        const config = await storage.read('personas');
+        const persona = config.personas.find(p => p.id === personaId);
+        if (!persona) return res.status(404).json({ ok: false, error: "Persona introuvable" });
+
+        const buffer = Buffer.from(content, 'utf-8');
+        const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const previous = (persona.knowledge || []).find(k => k.name === title);
+        const change = classifyUpload(previous, contentHash);
+        if (change === 'unchanged') {
+            await audit(req, 'knowledge.note', { type: 'persona', id: personaId, name: title }, { contentHash }, { change });
+            return res.json({ ok: true, backend: INGEST_BACKEND, change, jobId: previous.jobId || null, status: previous.status || 'indexed', document: previous });
+        }
+
         const filename = `${title.replace(/[^a-z0-9]/gi, '_')}.txt`;
         const objectName = `${personaId}/${Date.now()}_${filename}`;
         
-        const buffer = Buffer.from(content, 'utf-8');
         await minioClient.putObject(MINIO_BUCKET, objectName, buffer, buffer.length, { 'Content-Type': 'text/plain' });
-        const presignedUrl = await minioClient.presignedGetObject(MINIO_BUCKET, objectName, 24 * 60 * 60);
-        
-        const n8nPayload = {
-            action: "ingest", bucket: MINIO_BUCKET, collection: QDRANT_COLLECTION, file_url: presignedUrl,
-            metadata: { 
-                filename: filename, 
-                personaId: personaId, 
-                type: "text", 
-                title: title, 
-                minio_key: objectName,
-                ...(meta || {})
-            }
-        };
-
-        const n8nRes = await fetch(N8N_QDRANT_WEBHOOK, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(n8nPayload) });
-        if(!n8nRes.ok) throw new Error(`Erreur n8n: ${await n8nRes.text()}`);
 
-        const config = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
-        const p = config.personas.find(p => p.id === personaId);
-        if (p) {
-            p.knowledge = p.knowledge || [];
-            p.knowledge = p.knowledge.filter(k => k.name !== title);
-            p.knowledge.push({ 
-                id: crypto.randomUUID(), 
-                name: title, 
-                type: 'text', 
-                date: new Date().toISOString(), 
-                minioKey: objectName,
-                meta: meta || {}
-            });
-            await writeJson(PERSONAS_CONFIG_PATH, config);
-        }
-        res.json({ ok: true });
-    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+        const { entry, job } = await saveKnowledgeVersion(personaId, { 
+            id: crypto.randomUUID(), 
+            name: title, 
+            type: 'text', 
+            date: new Date().toISOString(), 
+            minioKey: objectName,
+            contentHash,
+            meta: meta || {}
+        });
+        await audit(req, 'knowledge.note', { type: 'persona', id: personaId, name: title }, { contentHash, meta }, { change, version: entry.version, jobId: job.id });
+        res.status(202).json({ ok: true, backend: INGEST_BACKEND, change, jobId: job.id, status: job.state, document: entry });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
 });
 
-// 3. Suppression Document
+// 3. Suppression Document (archivé avec ses versions ; ?purge=true supprime définitivement)
 app.delete('/api/admin/personas/:personaId/knowledge/:filename', async (req, res) => {
     try {
         const { personaId, filename } = req.params;
-        const n8nPayload = { action: "delete", bucket: MINIO_BUCKET, collection: QDRANT_COLLECTION, filename, personaId };
-        try { await fetch(N8N_QDRANT_WEBHOOK, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(n8nPayload) }); } catch (n8nErr) {}
+        const purge = req.query.purge === 'true';
+        const matches = k => k.name === filename || k.name === filename.replace('.txt', '');
         
-        const config = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
+        const config = await storage.read('personas');
         const p = config.personas.find(p => p.id === personaId);
-        let minioKey = null;
-        if (p && p.knowledge) {
-            const doc = p.knowledge.find(k => k.name === filename || k.name === filename.replace('.txt', ''));
-            if(doc) minioKey = doc.minioKey;
-            p.knowledge = p.knowledge.filter(k => k.name !== filename && k.name !== filename.replace('.txt', ''));
-            await writeJson(PERSONAS_CONFIG_PATH, config);
+        const doc = (p?.knowledge || []).find(matches) || null;
+        if (doc?.jobId) ingestionQueue.cancel(doc.jobId);
+
+        await removeIndexedDocument({ personaId }, doc ? doc.name : filename, filename);
+
+        const removedKeys = new Set();
+        if (p) await storage.update('personas', config => {
+            const p = config.personas.find(p => p.id === personaId);
+            if (!p) return;
+            const active = (p.knowledge || []).find(matches);
+            const archived = (p.knowledgeArchive || []).find(matches);
+            p.knowledge = (p.knowledge || []).filter(k => !matches(k));
+            if (purge) {
+                // Suppression définitive : toutes les versions, y compris celles d'une archive antérieure
+                [active, archived].filter(Boolean).forEach(d => [d, ...(d.history || [])].forEach(v => removedKeys.add(v.minioKey)));
+                p.knowledgeArchive = (p.knowledgeArchive || []).filter(k => !matches(k));
+            } else if (active) {
+                p.knowledgeArchive = (p.knowledgeArchive || []).filter(k => !matches(k));
+                p.knowledgeArchive.push({ ...active, status: null, jobId: null, error: null, deletedAt: new Date().toISOString() });
+            }
+        });
+        for (const key of [...removedKeys].filter(Boolean)) {
+            try { await minioClient.removeObject(MINIO_BUCKET, key); } catch {}
         }
-        if(minioKey) try { await minioClient.removeObject(MINIO_BUCKET, minioKey); } catch {}
-        res.json({ ok: true });
+        await audit(req, 'knowledge.delete', { type: 'persona', id: personaId, name: doc ? doc.name : filename }, undefined, { purge, version: doc?.version || null, contentHash: doc?.contentHash || null });
+        res.json({ ok: true, archived: !!doc && !purge });
     } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// 4. Historique des versions d'un document (actif ou archivé)
+app.get('/api/admin/personas/:personaId/knowledge/:docName/versions', async (req, res) => {
+    try {
+        const { personaId, docName } = req.params;
+        const config = await storage.read('personas');
+        const p = config.personas.find(p => p.id === personaId);
+        if (!p) return res.status(404).json({ ok: false, error: "Persona introuvable" });
+
+        const active = (p.knowledge || []).find(k => k.name === docName);
+        const doc = active || (p.knowledgeArchive || []).find(k => k.name === docName);
+        if (!doc) return res.status(404).json({ ok: false, error: "Document introuvable" });
+
+        const describe = (v, extra) => ({
+            version: v.version || 1, date: v.date, contentHash: v.contentHash || null, format: v.format || null,
+            minioKey: v.minioKey, restoredFrom: v.restoredFrom || null, ...extra
+        });
+        const versions = [
+            ...(doc.history || []).map(v => describe(v, { active: false, archivedAt: v.archivedAt, reason: v.reason })),
+            describe(doc, active ? { active: true, status: doc.status || 'indexed' } : { active: false, archivedAt: doc.deletedAt, reason: 'deleted' })
+        ].sort((a, b) => b.version - a.version);
+
+        res.json({ ok: true, name: doc.name, deleted: !active, versions });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// 5. Restauration d'une version : elle devient la version courante et est réindexée
+app.post('/api/admin/personas/:personaId/knowledge/:docName/versions/:version/restore', async (req, res) => {
+    try {
+        const { personaId, docName } = req.params;
+        const version = Number(req.params.version);
+        const config = await storage.read('personas');
+        const p = config.personas.find(p => p.id === personaId);
+        if (!p) return res.status(404).json({ ok: false, error: "Persona introuvable" });
+
+        const active = (p.knowledge || []).find(k => k.name === docName);
+        const doc = active || (p.knowledgeArchive || []).find(k => k.name === docName);
+        if (!doc) return res.status(404).json({ ok: false, error: "Document introuvable" });
+        if (active && (active.version || 1) === version) return res.status(409).json({ ok: false, error: "Cette version est déjà active" });
+
+        const source = (doc.version || 1) === version ? doc : (doc.history || []).find(v => v.version === version);
+        if (!source) return res.status(404).json({ ok: false, error: "Version introuvable" });
+
+        const { entry, job } = await saveKnowledgeVersion(personaId, {
+            id: crypto.randomUUID(),
+            name: doc.name,
+            type: source.type,
+            format: source.format,
+            date: new Date().toISOString(),
+            minioKey: source.minioKey,
+            contentHash: source.contentHash,
+            meta: source.meta || {},
+            restoredFrom: version
+        });
+        await audit(req, 'knowledge.restore', { type: 'persona', id: personaId, name: doc.name }, { contentHash: source.contentHash }, { restoredFrom: version, version: entry.version, jobId: job.id });
+        res.status(202).json({ ok: true, backend: INGEST_BACKEND, jobId: job.id, status: job.state, document: entry });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// 6. Explorateur de connaissances et recherche de test dans la mémoire vectorielle d'un persona (mode natif uniquement)
+if (INGEST_BACKEND === 'native') {
+    app.get('/api/admin/personas/:personaId/knowledge/search', (req, res) => getKnowledgeController().searchDebug(req, res));
+    app.get('/api/admin/personas/:personaId/knowledge/indexed', (req, res) => getKnowledgeController().listIndexedSources(req, res));
+    app.get('/api/admin/personas/:personaId/knowledge/chunks', (req, res) => getKnowledgeController().listChunks(req, res));
+    app.get('/api/admin/personas/:personaId/knowledge/chunks/:chunkId', (req, res) => getKnowledgeController().getChunk(req, res));
+}
+
+// 7. Suivi des jobs d'ingestion
+app.get('/api/admin/ingest/jobs', (req, res) => {
+    const { personaId, roomId, state } = req.query;
+    res.json({ ok: true, jobs: ingestionQueue.list({ personaId, roomId, state }) });
+});
+
+app.get('/api/admin/ingest/jobs/:jobId', (req, res) => {
+    const job = ingestionQueue.get(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, error: "Job introuvable" });
+    res.json({ ok: true, job });
+});
+
+app.post('/api/admin/ingest/jobs/:jobId/retry', async (req, res) => {
+    if (!ingestionQueue.get(req.params.jobId)) return res.status(404).json({ ok: false, error: "Job introuvable" });
+    const job = ingestionQueue.retry(req.params.jobId);
+    if (!job) return res.status(409).json({ ok: false, error: "Seul un job en échec peut être relancé" });
+    await audit(req, 'ingest.retry', { type: 'ingest_job', id: job.id, name: job.sourceName }, undefined, job.target);
+    res.json({ ok: true, job });
+});
+
+// ==========================================
+// ROUTES DOCUMENTS DE SALON (RAG partagé par la séance)
+// ==========================================
+
+// 1. Joindre un document au salon (MinIO rooms/<roomId>/ + indexation avec room_id)
+app.post('/api/rooms/:id/files', upload.single('file'), async (req, res) => {
+    try {
+        const roomId = req.params.id;
+        const file = req.file;
+        if (!file) return res.status(400).json({ ok: false, error: "Fichier manquant" });
+
+        const roomsData = await storage.read('rooms');
+        const targetRoom = assertRoomOpen(assertRoomAccess(req.user, roomsData.rooms.find(r => r.id === roomId), { write: true }));
+
+        const format = ExtractionService.detectFormat(file.mimetype, file.originalname);
+        if (!format) throw Object.assign(new Error(`Format non supporté (${ExtractionService.SUPPORTED_LABEL} uniquement)`), { status: 400 });
+        const contentType = ExtractionService.mimeTypeOf(format);
+
+        const contentHash = await sha256File(file.path);
+        const previous = (targetRoom.files || []).find(f => f.name === file.originalname);
+        const change = classifyUpload(previous, contentHash);
+        if (change === 'unchanged') {
+            try { await fs.unlink(file.path); } catch {}
+            await audit(req, 'room.file.upload', { type: 'room', id: roomId, name: targetRoom.name }, { contentHash }, { file: file.originalname, change });
+            return res.json({ ok: true, file: previous, backend: INGEST_BACKEND, change, jobId: previous.jobId || null, status: previous.status || 'indexed' });
+        }
+
+        const objectName = `rooms/${roomId}/${Date.now()}_${file.originalname}`;
+        await minioClient.putObject(MINIO_BUCKET, objectName, fssync.createReadStream(file.path), file.size, { 'Content-Type': contentType });
+        try { await fs.unlink(file.path); } catch {}
+
+        // L'entrée est écrite avant la mise en file : le job la retrouve dès son démarrage
+        const entry = { id: crypto.randomUUID(), name: file.originalname, type: 'file', format, mimeType: contentType, size: file.size, date: new Date().toISOString(), minioKey: objectName, contentHash, status: 'queued' };
+        const { room, superseded } = await storage.update('rooms', roomsData => {
+            const room = roomsData.rooms.find(r => r.id === roomId);
+            if (!room) throw Object.assign(new Error("Salon introuvable"), { status: 404 });
+            const superseded = (room.files || []).find(f => f.name === file.originalname);
+            room.files = (room.files || []).filter(f => f.name !== file.originalname);
+            room.files.push(entry);
+            return { room, superseded };
+        });
+        await releaseSupersededDocument(superseded);
+
+        const job = ingestionQueue.enqueue({
+            target: { roomId, docId: entry.id },
+            sourceName: file.originalname,
+            filename: file.originalname,
+            mimeType: contentType,
+            docType: 'room_attachment',
+            minioKey: objectName,
+            meta: { content_hash: contentHash },
+            n8nMetadata: { filename: file.originalname, personaId: null, room_id: roomId, type: "room_file", mimeType: contentType, format, minio_key: objectName, content_hash: contentHash }
+        });
+
+        entry.jobId = job.id;
+        await audit(req, 'room.file.upload', { type: 'room', id: roomId, name: room.name }, { contentHash }, { file: entry.name, change, jobId: job.id });
+
+        res.status(202).json({ ok: true, file: entry, backend: INGEST_BACKEND, change, jobId: job.id, status: job.state });
+    } catch (e) {
+        if (req.file) try { await fs.unlink(req.file.path); } catch {}
+        res.status(e.status || 500).json({ ok: false, error: e.message });
+    }
+});
+
+// 2. Retirer un document du salon
+app.delete('/api/rooms/:id/files/:fileId', async (req, res) => {
+    try {
+        const { id: roomId, fileId } = req.params;
+        const roomsData = await storage.read('rooms');
+        const room = assertRoomAccess(req.user, roomsData.rooms.find(r => r.id === roomId), { write: true });
+        const doc = (room.files || []).find(f => f.id === fileId);
+        if (!doc) return res.status(404).json({ ok: false, error: "Document introuvable" });
+
+        if (doc.jobId) ingestionQueue.cancel(doc.jobId);
+        await removeIndexedDocument({ roomId }, doc.name);
+
+        await storage.update('rooms', roomsData => {
+            const current = roomsData.rooms.find(r => r.id === roomId);
+            if (current) current.files = (current.files || []).filter(f => f.id !== fileId);
+        });
+        await audit(req, 'room.file.delete', { type: 'room', id: roomId, name: room.name }, undefined, { file: doc.name, contentHash: doc.contentHash || null });
+        if (doc.minioKey) try { await minioClient.removeObject(MINIO_BUCKET, doc.minioKey); } catch {}
+        res.json({ ok: true });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
 
 // ==========================================
 // ROUTES CHAT (ASYNCHRONE AVEC POLLING)
@@ -363,87 +1348,176 @@ app.delete('/api/admin/personas/:personaId/knowledge/:filename', async (req, res
 
 app.post('/api/chat/n8n', async (req, res) => {
     try {
-        const { roomId, message, model } = req.body;
-        
-        const roomsData = await readJson(ROOMS_DATA_PATH, DEFAULT_ROOMS_DATA);
-        const roomIndex = roomsData.rooms.findIndex(r => r.id === roomId);
-        const room = roomsData.rooms[roomIndex];
+        const { roomId, message, model, timeoutSeconds } = validationService.assert('chatInput', req.body, 'Requête invalide');
+        // Seuls les réglages demandés sont retenus : les autres reprennent ceux de chaque persona
+        const retrieval = RetrievalOptions.parse(req.body.retrieval, { defaults: false });
+
+        const roomsData = await storage.read('rooms');
+        const current = roomsData.rooms.find(r => r.id === roomId);
         
-        if(!room) return res.status(404).json({ok:false, error:"Salon introuvable"});
+        if(!current || !canAccessRoom(req.user, current)) return res.status(404).json({ok:false, error:"Salon introuvable"});
+        if(!canWriteRoom(req.user, current)) return res.status(403).json({ok:false, error:"Accès en lecture seule"});
+        assertRoomOpen(current);
+
+        const config = await storage.read('personas');
+        const roomPersonas = config.personas.filter(p => current.activePersonas.includes(p.id));
 
-        const userMsg = { role: 'user', content: message, timestamp: new Date().toISOString() };
-        room.messages = room.messages || [];
-        room.messages.push(userMsg);
-        await writeJson(ROOMS_DATA_PATH, roomsData);
+        // @mentions : seuls les ministères interpellés sont consultés
+        const mentions = MentionService.parse(message, roomPersonas);
+        const mentionedIds = mentions.map(m => m.id);
+        const consultedPersonas = mentionedIds.length
+            ? roomPersonas.filter(p => mentionedIds.includes(p.id))
+            : roomPersonas;
 
-        const config = await readJson(PERSONAS_CONFIG_PATH, DEFAULT_PERSONAS_DATA);
-        const activeExperts = config.personas.filter(p => room.activePersonas.includes(p.id)).map(p => ({
-            id: p.id, ministry_name: p.ministry, role_description: p.systemPrompt, emoji: p.avatarEmoji
+        const userMsg = { id: crypto.randomUUID(), role: 'user', content: message, timestamp: new Date().toISOString(), author: { id: req.user.id, name: req.user.displayName } };
+        if (mentions.length) userMsg.mentions = mentions.map(m => ({ id: m.id, ministry: m.ministry }));
+        // Ajout transactionnel : l'historique renvoyé inclut les messages arrivés entre-temps
+        const room = await storage.update('rooms', roomsData => {
+            const room = roomsData.rooms.find(r => r.id === roomId);
+            if (!room) throw Object.assign(new Error("Salon introuvable"), { status: 404 });
+            assertRoomOpen(room);
+            room.messages = room.messages || [];
+            room.messages.push(userMsg);
+            return room;
+        });
+
+        // settings : réglages effectifs du ministre (modèle, température, longueur, recherche)
+        const activeExperts = consultedPersonas.map(p => ({
+            id: p.id, ministry_name: p.ministry, role_description: p.systemPrompt, emoji: p.avatarEmoji,
+            required_responder: mentionedIds.includes(p.id),
+            settings: PersonaSettings.resolve(p, { retrieval, model })
         }));
 
-        const payload = { question: message, room_id: roomId, orchestration_context: { available_experts: activeExperts } };
+        const payload = {
+            question: message, room_id: roomId,
+            orchestration_context: {
+                available_experts: activeExperts,
+                mentioned_expert_ids: mentionedIds,
+                room_files: (room.files || []).map(f => ({ name: f.name, minio_key: f.minioKey })),
+                retrieval,
+                ...(model ? { model } : {})
+            }
+        };
         
         const taskId = crypto.randomUUID();
+        const timeoutMs = timeoutSeconds ? timeoutSeconds * 1000 : CHAT_TASK_TIMEOUT_MS;
         // Marquer la tâche comme en cours de traitement de façon persistante
-        await updateTask(taskId, { status: 'processing', roomId: roomId });
+        await updateTask(taskId, { status: 'processing', roomId: roomId, userId: req.user.id, timeoutMs });
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            if (await abortTask(taskId, 'timeout', `Délai dépassé (${Math.round(timeoutMs / 1000)} s)`)) {
+                await audit(req, 'chat.timeout', { type: 'room', id: roomId, name: room.name }, undefined, { taskId, timeoutMs });
+            }
+        }, timeoutMs);
+        taskControllers.set(taskId, { controller, timer });
+        await audit(req, 'chat.ask', { type: 'room', id: roomId, name: room.name }, { message }, { taskId, question: message, mentions: mentionedIds, retrieval, model });
 
         (async () => {
             try {
-                console.log(`[Chat] Requête transmise à n8n pour taskId: ${taskId}...`);
-                const n8nRes = await fetch(N8N_CHAT_WEBHOOK, { method: 'POST', headers: {'Content-Type': 'application/json'}, body: JSON.stringify(payload) });
-                const txt = await n8nRes.text();
-                
-                if(!n8nRes.ok) throw new Error(`Erreur n8n: ${txt}`);
-                
-                let json;
-                try { json = JSON.parse(txt); } catch(e) { throw new Error("Réponse n8n invalide"); }
-                
+                // Mémoire de séance : fenêtre des derniers tours + résumé persistant des plus anciens
+                // (résumé par le LLM avec l'orchestrateur natif, extractif avec n8n qui n'a pas de LLM configuré ici)
+                const conversation = await memoryService.build(room.messages.slice(0, -1), room.memory, { llm: CHAT_BACKEND === 'native' });
+                payload.orchestration_context.conversation = { summary: conversation.summary, history: conversation.history };
+                if (conversation.updated) {
+                    // Une question parallèle a pu étendre le résumé entre-temps : fusion sous le verrou du salon
+                    await storage.update('rooms', roomsData => {
+                        const memRoom = roomsData.rooms.find(r => r.id === roomId);
+                        if (memRoom) memRoom.memory = memoryService.merge(memRoom.memory, conversation.memory);
+                    });
+                }
+
                 let finalData = {};
-                // Normalisation des formats de réponse n8n (tableau ou objet)
-                if (Array.isArray(json)) {
-                    if (json.length > 0 && json[0].ministry_name) finalData = { responses: json };
-                    else if (json.length > 0) finalData = json[0];
-                    else finalData = { responses: [] };
+                if (CHAT_BACKEND === 'native') {
+                    console.log(`[Chat] Orchestration native pour taskId: ${taskId}...`);
+                    const chair = roomPersonas.find(p => p.role === 'Chair') || config.personas.find(p => p.role === 'Chair');
+                    finalData = await getChatOrchestrator().run({
+                        question: message, roomId, experts: consultedPersonas, chair,
+                        conversation: payload.orchestration_context.conversation,
+                        retrieval, model, signal: controller.signal,
+                        onEvent: (type, data) => emitTaskEvent(taskId, type, data)
+                    });
                 } else {
-                    finalData = json;
+                    console.log(`[Chat] Requête transmise à n8n pour taskId: ${taskId}...`);
+                    emitTaskEvent(taskId, 'forwarded', { backend: 'n8n' });
+                    const n8nRes = await fetch(N8N_CHAT_WEBHOOK, { method: 'POST', headers: {'Content-Type': 'application/json'}, body: JSON.stringify(payload), signal: controller.signal });
+                    const txt = await n8nRes.text();
+                    
+                    if(!n8nRes.ok) throw new Error(`Erreur n8n: ${txt}`);
+                    
+                    let json;
+                    try { json = JSON.parse(txt); } catch(e) { throw new Error("Réponse n8n invalide"); }
+                    
+                    // Normalisation des formats de réponse n8n (tableau ou objet)
+                    if (Array.isArray(json)) {
+                        if (json.length > 0 && json[0].ministry_name) finalData = { responses: json };
+                        else if (json.length > 0) finalData = json[0];
+                        else finalData = { responses: [] };
+                    } else {
+                        finalData = json;
+                    }
                 }
                 
-                // Enregistrement de la réponse assistant dans l'historique du salon
-                const currentRoomsData = await readJson(ROOMS_DATA_PATH, DEFAULT_ROOMS_DATA);
-                const currentRoom = currentRoomsData.rooms.find(r => r.id === roomId);
-                if(currentRoom) {
+                // Enregistrement de la réponse assistant dans l'historique du salon (sauf tâche annulée entre-temps)
+                const messageId = crypto.randomUUID();
+                controller.signal.throwIfAborted();
+                await storage.update('rooms', roomsData => {
+                    const currentRoom = roomsData.rooms.find(r => r.id === roomId);
+                    if (!currentRoom || controller.signal.aborted) return;
                     currentRoom.messages = currentRoom.messages || [];
                     currentRoom.messages.push({ 
+                        id: messageId,
                         role: 'assistant', 
                         content: finalData, 
                         timestamp: new Date().toISOString() 
                     });
-                    await writeJson(ROOMS_DATA_PATH, currentRoomsData);
-                }
+                    // Réponse enregistrée : la tâche ne peut plus être annulée
+                    releaseTask(taskId);
+                });
+                controller.signal.throwIfAborted();
 
                 // Finalisation de la tâche pour le polling
-                await updateTask(taskId, { status: 'completed', data: finalData });
+                await updateTask(taskId, { status: 'completed', data: finalData, messageId });
+                emitTaskEvent(taskId, 'completed', { data: finalData, messageId });
+                await audit(req, 'chat.completed', { type: 'room', id: roomId, name: room.name }, finalData, {
+                    taskId, responders: (finalData.responses || []).map(r => r.persona_id || r.ministry_name)
+                });
 
             } catch(e) { 
+                // Annulée ou délai dépassé : déjà close par abortTask
+                if (controller.signal.aborted) return console.warn(`[Chat] Tâche ${taskId} interrompue (${getTask(taskId)?.status})`);
                 console.error("[Chat Async Error]", e);
                 await updateTask(taskId, { status: 'error', error: e.message });
+                emitTaskEvent(taskId, 'failed', { error: e.message });
+                await audit(req, 'chat.failed', { type: 'room', id: roomId, name: room.name }, undefined, { taskId, error: e.message });
+            } finally {
+                releaseTask(taskId);
             }
         })();
 
-        res.json({ ok: true, taskId, status: 'processing' });
-    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+        res.json({ ok: true, taskId, status: 'processing', messageId: userMsg.id });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details }); }
 });
 
+/**
+ * Une tâche de chat suit les droits de son salon.
+ */
+async function canAccessTask(user, task) {
+    if (user.role === 'admin') return true;
+    const roomsData = await storage.read('rooms');
+    const room = roomsData.rooms.find(r => r.id === task.roomId);
+    return !!room && canAccessRoom(user, room);
+}
+
 // Route de Polling pour le statut de la tâche
 app.get('/api/chat/task/:taskId', async (req, res) => {
     let task = getTask(req.params.taskId);
     if (!task) {
         // Tenter une relecture du disque si pas en mémoire
-        const tasksData = await readJson(TASKS_DATA_PATH, DEFAULT_TASKS_DATA);
+        const tasksData = await storage.read('tasks');
         task = tasksData.tasks.find(t => t.id === req.params.taskId);
     }
     
-    if(!task) {
+    if(!task || !(await canAccessTask(req.user, task))) {
         return res.status(404).json({ok:false, status: 'not_found', error: 'Tâche inconnue ou expirée'});
     }
     
@@ -451,28 +1525,109 @@ app.get('/api/chat/task/:taskId', async (req, res) => {
         ok: true, 
         status: task.status, 
         data: task.data, 
+        messageId: task.messageId,
         error: task.error 
     });
 });
 
-// Auto-complétion de profil persona via Gemini
-app.post('/api/gemini/persona', async (req, res) => {
+// Tâches de chat visibles par l'utilisateur (?roomId=, ?status=, ?limit= ; les plus récentes d'abord)
+app.get('/api/chat/tasks', async (req, res) => {
+    try {
+        const { roomId, status } = req.query;
+        if (status !== undefined && !TASK_STATUSES.includes(status)) throw Object.assign(new Error(`status doit valoir ${TASK_STATUSES.join(', ')}`), { status: 400 });
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) throw Object.assign(new Error("limit doit être un entier entre 1 et 200"), { status: 400 });
+
+        const roomsData = await storage.read('rooms');
+        const visibleRooms = new Set(roomsData.rooms.filter(r => canAccessRoom(req.user, r)).map(r => r.id));
+        const matching = Array.from(taskStore.values())
+            .filter(t => visibleRooms.has(t.roomId) && (!roomId || t.roomId === roomId) && (!status || t.status === status))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        res.json({ ok: true, total: matching.length, tasks: matching.slice(0, limit).map(taskSummary) });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// Annuler une question en cours (auteur de la question ou administrateur)
+app.post('/api/chat/task/:taskId/cancel', async (req, res) => {
+    try {
+        const task = getTask(req.params.taskId);
+        if (!task || !(await canAccessTask(req.user, task))) return res.status(404).json({ ok: false, status: 'not_found', error: 'Tâche inconnue ou expirée' });
+        if (task.userId !== req.user.id && req.user.role !== 'admin') throw Object.assign(new Error("Seul l'auteur de la question ou un administrateur peut l'annuler"), { status: 403 });
+        if (!(await abortTask(task.id, 'cancelled', "Annulée par l'utilisateur"))) {
+            // Encore en cours sans contrôleur : la réponse est enregistrée, la tâche va passer à completed
+            const { status } = getTask(task.id);
+            const message = status === 'processing' ? "Réponse en cours de finalisation, annulation impossible" : `Tâche déjà terminée (${status})`;
+            throw Object.assign(new Error(message), { status: 409 });
+        }
+        await audit(req, 'chat.cancel', { type: 'room', id: task.roomId }, undefined, { taskId: task.id });
+        res.json({ ok: true, task: taskSummary(getTask(task.id)) });
+    } catch (e) { res.status(e.status || 500).json({ ok: false, error: e.message }); }
+});
+
+// Flux SSE de progression d'une tâche (rejoue l'historique puis suit en direct)
+app.get('/api/chat/task/:taskId/events', async (req, res) => {
+    const { taskId } = req.params;
+    const task = getTask(taskId);
+    if (!task || !(await canAccessTask(req.user, task))) return res.status(404).json({ ok: false, status: 'not_found', error: 'Tâche inconnue ou expirée' });
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+
+    const lastEventId = Number(req.get('Last-Event-ID'));
+    const send = (evt) => res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const cleanup = () => { clearInterval(heartbeat); taskEvents.removeListener(taskId, onEvent); };
+    const onEvent = (evt) => {
+        send(evt);
+        if (TERMINAL_TASK_EVENTS.includes(evt.type)) { cleanup(); res.end(); }
+    };
+    req.on('close', cleanup);
+
+    const history = (task.events || []).filter(evt => Number.isNaN(lastEventId) || evt.id > lastEventId);
+    history.forEach(send);
+
+    if ((task.events || []).some(evt => TERMINAL_TASK_EVENTS.includes(evt.type))) {
+        cleanup(); return res.end();
+    }
+    // Tâche terminée avant l'introduction des événements (restaurée depuis le disque)
+    if (FINAL_TASK_STATUSES.includes(task.status)) {
+        const type = task.status === 'completed' ? 'completed' : 'failed';
+        send({ id: (task.events || []).length, type, data: task.status === 'completed' ? { data: task.data } : { error: task.error, status: task.status } });
+        cleanup(); return res.end();
+    }
+    taskEvents.on(taskId, onEvent);
+});
+
+// Auto-complétion de profil persona (fournisseur LLM configurable, sortie JSON validée par personaDraft)
+app.post('/api/gemini/persona', requireRole('admin'), async (req, res) => {
     try {
-        const { ministry } = req.body;
-        const response = await fetch(GEMINI_URL, {
-            method: 'POST', headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify({ contents: [{ parts: [{ text: `Profil JSON ministre "${ministry}": {name, avatarEmoji, systemPrompt}` }] }] })
+        const { ministry } = validationService.assert('personaGenerateInput', req.body, 'Requête invalide');
+        const draft = await llmService.generateJson({
+            provider: PERSONA_LLM_PROVIDER,
+            schema: 'personaDraft',
+            temperature: 0.7,
+            system: "Tu conçois des profils de ministres pour un conseil gouvernemental simulé. Réponds uniquement par un objet JSON { \"name\": string, \"avatarEmoji\": string (un emoji), \"systemPrompt\": string (rôle, priorités et ton du ministre, à la deuxième personne) }.",
+            messages: [{ role: 'user', content: `Ministère : ${ministry}` }]
         });
-        const json = await response.json();
-        const text = json.candidates[0].content.parts[0].text.replace(/```json|```/g, '').trim();
-        res.json({ ok: true, data: JSON.parse(text) });
-    } catch(e) { res.status(500).json({ok:false}); }
+        res.json({ ok: true, data: { name: draft.name, avatarEmoji: draft.avatarEmoji, systemPrompt: draft.systemPrompt } });
+    } catch (e) {
+        console.error("[Persona] Génération impossible:", e.message);
+        res.status(e.status || 500).json({ ok: false, error: e.message, details: e.details });
+    }
 });
 
 // --- INIT & START ---
 initDataFiles().then(() => {
-    app.listen(PORT, () => console.log(`\n🚀 GouvBrain Backend ready on port ${PORT}`));
+    app.listen(PORT, () => console.log(`\n🚀 GouvBrain Backend ready on port ${PORT} (ingestion: ${INGEST_BACKEND}, chat: ${CHAT_BACKEND})`));
+}).catch(e => {
+    console.error(e.message);
+    process.exit(1);
 });
 
-app.get('/admin', (req, res) => res.render('admin'));
-app.get('/', (req, res) => res.render('gouvgpt'));
\ No newline at end of file
+// Redirection post-connexion limitée aux chemins locaux ("//hote" serait une URL externe)
+app.get('/login', (req, res) => {
+    const next = typeof req.query.next === 'string' && /^\/(?![\/\\])/.test(req.query.next) ? req.query.next : '/';
+    res.render('login', { next });
+});
+app.get('/admin', requirePage('admin'), (req, res) => res.render('admin', { user: req.user, knowledgeExplorer: INGEST_BACKEND === 'native', rerankAvailable: RetrievalOptions.rerankAvailable() }));
+app.get('/', requirePage(), (req, res) => res.render('gouvgpt', { user: req.user, rag: { ...RetrievalOptions.DEFAULTS, maxTopK: RetrievalOptions.MAX_TOP_K, rerankAvailable: RetrievalOptions.rerankAvailable() } }));
\ No newline at end of file
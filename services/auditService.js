@@ -0,0 +1,156 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const GENESIS_HASH = '0'.repeat(64);
+const CSV_COLUMNS = ['seq', 'at', 'actor_id', 'actor_username', 'actor_role', 'action', 'target_type', 'target_id', 'target_name', 'payload_digest', 'details', 'ip', 'hash'];
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Sérialisation stable (clés triées) : une même charge utile donne toujours la même empreinte.
+ */
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Journal d'audit en ajout seul (JSON Lines).
+ * Chaque entrée est chaînée à la précédente (hash = sha256(prevHash + entrée)) :
+ * une ligne modifiée ou supprimée casse la chaîne, ce que verify() détecte.
+ */
+class AuditService {
+    constructor() {
+        this.filePath = null;
+        this.lastHash = GENESIS_HASH;
+        this.seq = 0;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Reprend la chaîne à partir de la dernière entrée du fichier.
+     */
+    async init(filePath) {
+        this.filePath = filePath;
+        let last = null;
+        await this.scan(entry => { last = entry; });
+        if (last) {
+            this.lastHash = last.hash;
+            this.seq = last.seq;
+        }
+        console.log(`[Audit] Journal chargé (${this.seq} entrées).`);
+    }
+
+    /**
+     * Ajoute une entrée au journal.
+     * @param {object} event - { actor, action, target: { type, id, name }, payload, details, ip }
+     * @returns {Promise<object>} L'entrée écrite
+     */
+    record({ actor, action, target = {}, payload, details, ip }) {
+        const write = this.writing.then(async () => {
+            const entry = {
+                seq: this.seq + 1,
+                at: new Date().toISOString(),
+                actor: actor ? { id: actor.id, username: actor.username, role: actor.role } : { id: null, username: 'system', role: null },
+                action,
+                target: { type: target.type || null, id: target.id ?? null, name: target.name ?? null },
+                payloadDigest: payload === undefined ? null : sha256(canonical(payload)),
+                details: details || null,
+                ip: ip || null,
+                prevHash: this.lastHash
+            };
+            entry.hash = sha256(this.lastHash + canonical(entry));
+            await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n', { encoding: 'utf8', mode: 0o600 });
+            this.seq = entry.seq;
+            this.lastHash = entry.hash;
+            return entry;
+        });
+        // Une écriture en échec ne bloque pas les suivantes
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Parcourt le journal ligne par ligne (ordre chronologique).
+     */
+    async scan(onEntry) {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (line.trim()) onEntry(JSON.parse(line));
+        }
+    }
+
+    /**
+     * Recherche filtrée.
+     * @param {object} filters - { actor, action, targetType, targetId, from, to, limit, offset, order }
+     * `action` accepte un préfixe ("knowledge." couvre toutes les actions sur les documents).
+     * `order` : "asc" (chronologique, par défaut) ou "desc" (plus récentes d'abord).
+     * @returns {Promise<{total: number, entries: Array<object>}>}
+     */
+    async query({ actor, action, targetType, targetId, from, to, limit = 100, offset = 0, order = 'asc' } = {}) {
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to).getTime() : null;
+        // Un filtre illisible ne doit pas être ignoré (il renverrait tout le journal)
+        const invalid = [['from', fromTime], ['to', toTime]].filter(([, v]) => Number.isNaN(v))
+            .concat([['limit', Number(limit)], ['offset', Number(offset)]].filter(([, v]) => !Number.isInteger(v) || v < 0));
+        if (invalid.length) throw Object.assign(new Error(`Filtre invalide : ${invalid.map(([name]) => name).join(', ')}`), { status: 400 });
+        const matches = [];
+        await this.scan(entry => {
+            if (actor && entry.actor.id !== actor && entry.actor.username !== actor) return;
+            if (action && !(entry.action === action || (action.endsWith('.') && entry.action.startsWith(action)))) return;
+            if (targetType && entry.target.type !== targetType) return;
+            if (targetId && entry.target.id !== targetId) return;
+            const time = new Date(entry.at).getTime();
+            if (fromTime && time < fromTime) return;
+            if (toTime && time > toTime) return;
+            matches.push(entry);
+        });
+        if (order === 'desc') matches.reverse();
+        const total = matches.length;
+        const entries = limit ? matches.slice(Number(offset), Number(offset) + Number(limit)) : matches.slice(Number(offset));
+        return { total, entries };
+    }
+
+    /**
+     * Vérifie l'intégrité de la chaîne.
+     * @returns {Promise<{ok: boolean, count: number, brokenAt: number|null}>}
+     */
+    async verify() {
+        let prevHash = GENESIS_HASH, count = 0, brokenAt = null;
+        await this.scan(entry => {
+            count++;
+            if (brokenAt !== null) return;
+            const { hash, ...rest } = entry;
+            if (entry.prevHash !== prevHash || sha256(prevHash + canonical(rest)) !== hash) brokenAt = entry.seq;
+            prevHash = hash;
+        });
+        return { ok: brokenAt === null, count, brokenAt };
+    }
+
+    /**
+     * Export CSV (séparateur virgule, champs entre guillemets si nécessaire).
+     * Les cellules qui commencent par = + - @ ou une tabulation sont préfixées d'une apostrophe :
+     * un tableur les interpréterait sinon comme des formules (noms de salons, identifiants saisis par des tiers).
+     */
+    toCsv(entries) {
+        const cell = (value) => {
+            let str = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+            return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const rows = entries.map(e => [
+            e.seq, e.at, e.actor.id, e.actor.username, e.actor.role, e.action,
+            e.target.type, e.target.id, e.target.name, e.payloadDigest, e.details, e.ip, e.hash
+        ].map(cell).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'member', 'observer'];
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 3600000;
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_DISPLAY_NAME_LENGTH = 80;
+const INITIAL_PASSWORD_FILE = 'initial-admin-password';
+
+/**
+ * Comptes utilisateurs et sessions, stockés localement (hors du répertoire public) :
+ * - users.json    : comptes { id, username, displayName, role, passwordHash }
+ * - sessions.json : sessions indexées par l'empreinte sha256 du jeton (le jeton brut n'est jamais écrit)
+ *
+ * Rôles : admin (personas, connaissances, comptes), member (chat dans ses salons), observer (lecture seule).
+ */
+class AuthService {
+    constructor() {
+        this.usersPath = null;
+        this.sessionsPath = null;
+        this.users = [];
+        this.sessions = new Map();
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Charge comptes et sessions ; crée un compte admin initial si aucun compte n'existe
+     * (ADMIN_USERNAME / ADMIN_PASSWORD, ou mot de passe généré écrit dans dataDir/initial-admin-password, mode 600).
+     * @param {string} dataDir - Répertoire privé de données
+     */
+    async init(dataDir) {
+        this.usersPath = path.join(dataDir, 'users.json');
+        this.sessionsPath = path.join(dataDir, 'sessions.json');
+        try { this.users = JSON.parse(await fs.readFile(this.usersPath, 'utf8')).users || []; } catch (e) { this.users = []; }
+        try {
+            const saved = JSON.parse(await fs.readFile(this.sessionsPath, 'utf8')).sessions || [];
+            saved.filter(s => new Date(s.expiresAt) > new Date()).forEach(s => this.sessions.set(s.tokenHash, s));
+        } catch (e) { /* Pas encore de sessions */ }
+
+        if (this.users.length === 0) {
+            const username = process.env.ADMIN_USERNAME || 'admin';
+            const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+            await this.createUser({ username, password, role: 'admin', displayName: 'Administrateur' });
+            if (!process.env.ADMIN_PASSWORD) {
+                // Jamais dans la sortie standard (journaux de conteneur / CI) : fichier lisible par le seul propriétaire
+                const passwordPath = path.join(dataDir, INITIAL_PASSWORD_FILE);
+                await fs.writeFile(passwordPath, `${username}\n${password}\n`, { mode: 0o600 });
+                console.warn(`[Auth] Compte initial "${username}" créé ; mot de passe dans ${passwordPath} (à changer après la première connexion, puis supprimer le fichier)`);
+            }
+        }
+        console.log(`[Auth] ${this.users.length} comptes, ${this.sessions.size} sessions actives.`);
+    }
+
+    // --- Mots de passe (scrypt, sel aléatoire par compte) ---
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored = '') {
+        const [scheme, salt, hash] = stored.split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+        const candidate = await scrypt(password, salt, SCRYPT_KEYLEN);
+        const expected = Buffer.from(hash, 'hex');
+        return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+    }
+
+    // --- Sessions ---
+
+    tokenHash(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Ouvre une session. Lève une erreur `status = 401` si les identifiants sont invalides.
+     * @returns {Promise<{token: string, expiresAt: string, user: object}>}
+     */
+    async login(username, password) {
+        const user = this.users.find(u => u.username.toLowerCase() === String(username || '').toLowerCase());
+        // Vérification systématique pour ne pas révéler l'existence du compte par le temps de réponse
+        const valid = await this.verifyPassword(String(password || ''), user?.passwordHash || 'scrypt$00$00');
+        if (!user || !valid || user.disabled) throw Object.assign(new Error("Identifiants invalides"), { status: 401 });
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date();
+        const session = {
+            tokenHash: this.tokenHash(token),
+            userId: user.id,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString()
+        };
+        this.sessions.set(session.tokenHash, session);
+        this.save();
+        return { token, expiresAt: session.expiresAt, user: this.publicUser(user) };
+    }
+
+    logout(token) {
+        if (this.sessions.delete(this.tokenHash(token))) this.save();
+    }
+
+    /**
+     * Retourne l'utilisateur (public) associé à un jeton valide, ou null.
+     */
+    authenticate(token) {
+        if (!token) return null;
+        const session = this.sessions.get(this.tokenHash(token));
+        if (!session) return null;
+        if (new Date(session.expiresAt) <= new Date()) {
+            this.sessions.delete(session.tokenHash);
+            this.save();
+            return null;
+        }
+        const user = this.users.find(u => u.id === session.userId);
+        return user && !user.disabled ? this.publicUser(user) : null;
+    }
+
+    // --- Comptes ---
+
+    publicUser(user) {
+        const { passwordHash, ...rest } = user;
+        return rest;
+    }
+
+    listUsers() {
+        return this.users.map(u => this.publicUser(u));
+    }
+
+    getUser(userId) {
+        const user = this.users.find(u => u.id === userId);
+        return user ? this.publicUser(user) : null;
+    }
+
+    validate({ username, password, role, displayName }, { partial = false } = {}) {
+        if (!partial || username !== undefined) {
+            if (!username || !/^[a-z0-9._-]{3,40}$/i.test(username)) {
+                throw Object.assign(new Error("Identifiant invalide (3 à 40 caractères : lettres, chiffres, . _ -)"), { status: 400 });
+            }
+        }
+        if (!partial || password !== undefined) {
+            if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+                throw Object.assign(new Error(`Mot de passe trop court (${MIN_PASSWORD_LENGTH} caractères minimum)`), { status: 400 });
+            }
+        }
+        if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim() || displayName.length > MAX_DISPLAY_NAME_LENGTH)) {
+            throw Object.assign(new Error(`Nom affiché invalide (1 à ${MAX_DISPLAY_NAME_LENGTH} caractères)`), { status: 400 });
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            throw Object.assign(new Error(`Rôle inconnu (${ROLES.join(', ')})`), { status: 400 });
+        }
+    }
+
+    async createUser({ username, password, role = 'member', displayName }) {
+        this.validate({ username, password, role, displayName });
+        if (this.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+            throw Object.assign(new Error("Cet identifiant existe déjà"), { status: 409 });
+        }
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            displayName: displayName ? displayName.trim() : username,
+            role,
+            passwordHash: await this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        this.users.push(user);
+        await this.save();
+        return this.publicUser(user);
+    }
+
+    /**
+     * Met à jour un compte ; un changement de mot de passe, de rôle ou une désactivation ferme ses sessions.
+     */
+    async updateUser(userId, { displayName, role, password, disabled }) {
+        const user = this.users.find(u => u.id === userId);
+        if (!user) throw Object.assign(new Error("Utilisateur introuvable"), { status: 404 });
+        this.validate({ role, password, displayName }, { partial: true });
+        if ((role && role !== 'admin' || disabled) && user.role === 'admin') this.assertOtherAdmin(userId);
+
+        if (displayName !== undefined) user.displayName = displayName.trim();
+        const revoke = (role && role !== user.role) || password !== undefined || (disabled && !user.disabled);
+        if (role) user.role = role;
+        if (disabled !== undefined) user.disabled = !!disabled;
+        if (password !== undefined) user.passwordHash = await this.hashPassword(password);
+        user.updatedAt = new Date().toISOString();
+
+        if (revoke) this.revokeSessions(userId);
+        await this.save();
+        return this.publicUser(user);
+    }
+
+    async deleteUser(userId) {
+        const user = this.users.find(u => u.id === userId);
+        if (!user) throw Object.assign(new Error("Utilisateur introuvable"), { status: 404 });
+        if (user.role === 'admin') this.assertOtherAdmin(userId);
+        this.users = this.users.filter(u => u.id !== userId);
+        this.revokeSessions(userId);
+        await this.save();
+    }
+
+    // Le dernier administrateur actif ne peut être ni rétrogradé, ni désactivé, ni supprimé
+    assertOtherAdmin(userId) {
+        if (!this.users.some(u => u.id !== userId && u.role === 'admin' && !u.disabled)) {
+            throw Object.assign(new Error("Impossible : c'est le dernier administrateur"), { status: 409 });
+        }
+    }
+
+    revokeSessions(userId) {
+        for (const [hash, session] of this.sessions) {
+            if (session.userId === userId) this.sessions.delete(hash);
+        }
+    }
+
+    /**
+     * Sauvegarde sérialisée des comptes et sessions.
+     */
+    save() {
+        if (!this.usersPath) return this.saving;
+        this.saving = this.saving.then(async () => {
+            try {
+                await fs.writeFile(this.usersPath, JSON.stringify({ users: this.users }, null, 2), { encoding: 'utf8', mode: 0o600 });
+                await fs.writeFile(this.sessionsPath, JSON.stringify({ sessions: [...this.sessions.values()] }, null, 2), { encoding: 'utf8', mode: 0o600 });
+            } catch (e) { console.error("[Auth] Erreur sauvegarde:", e.message); }
+        });
+        return this.saving;
+    }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = new AuthService();
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const validationService = require('./validationService');
+const ExtractionService = require('./extractionService');
+
+const BUNDLE_FORMAT = 'gouvbrain.cabinet';
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'cabinet.json';
+// Champs d'un persona repris par l'import (knowledge suit son propre circuit : MinIO puis indexation)
+const PERSONA_FIELDS = ['name', 'ministry', 'role', 'color', 'avatarEmoji', 'systemPrompt', 'settings'];
+
+function invalid(message, details) {
+    return Object.assign(new Error(message), { status: 400, ...(details ? { details } : {}) });
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Bundles de cabinet : export de tout ou partie des personas (champs, manifeste knowledge
+ * et, en option, documents MinIO) et import avec simulation préalable (dry-run).
+ * Sans documents, le bundle est un JSON ; avec documents, une archive ZIP contenant
+ * cabinet.json et documents/<personaId>/<fichier>.
+ */
+class CabinetService {
+
+    get version() { return BUNDLE_VERSION; }
+
+    /**
+     * @param {Array<object>} personas - Personas à exporter
+     * @param {object} options
+     * @param {boolean} [options.includeDocuments]
+     * @param {function(string): Promise<Buffer>} [options.readObject] - Lecture d'un objet MinIO
+     * @param {string} [options.exportedBy]
+     * @returns {Promise<{buffer: Buffer, contentType: string, extension: string, bundle: object}>}
+     */
+    async exportBundle(personas, { includeDocuments = false, readObject, exportedBy } = {}) {
+        const files = [];
+        const bundle = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            ...(exportedBy ? { exportedBy } : {}),
+            includesDocuments: includeDocuments,
+            personas: []
+        };
+
+        for (const persona of personas) {
+            const entry = { id: persona.id };
+            PERSONA_FIELDS.forEach(f => { if (persona[f] !== undefined && persona[f] !== null) entry[f] = persona[f]; });
+            entry.knowledge = [];
+            for (const k of persona.knowledge || []) {
+                const item = { name: k.name, type: k.type === 'text' ? 'text' : 'file' };
+                if (k.format) item.format = k.format;
+                if (k.contentHash) item.contentHash = k.contentHash;
+                if (k.version) item.version = k.version;
+                if (k.date) item.date = k.date;
+                if (k.meta && Object.keys(k.meta).length) item.meta = k.meta;
+                if (includeDocuments && k.minioKey) {
+                    item.document = `documents/${persona.id}/${k.name.replace(/[/\\]/g, '_')}`;
+                    files.push({ path: item.document, buffer: await readObject(k.minioKey) });
+                }
+                entry.knowledge.push(item);
+            }
+            bundle.personas.push(entry);
+        }
+
+        if (!includeDocuments) {
+            return { buffer: Buffer.from(JSON.stringify(bundle, null, 2), 'utf8'), contentType: 'application/json', extension: 'json', bundle };
+        }
+        const zip = new AdmZip();
+        zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(bundle, null, 2), 'utf8'));
+        files.forEach(f => zip.addFile(f.path, f.buffer));
+        return { buffer: zip.toBuffer(), contentType: 'application/zip', extension: 'zip', bundle };
+    }
+
+    /**
+     * Lit et valide un bundle (JSON ou ZIP).
+     * Les documents référencés doivent être présents dans l'archive et correspondre à leur contentHash.
+     * @param {Buffer|object} input - Contenu du fichier envoyé, ou bundle JSON déjà décodé
+     * @returns {{bundle: object, documents: Map<string, Buffer>}}
+     */
+    parse(input) {
+        let bundle;
+        let zip = null;
+        if (Buffer.isBuffer(input)) {
+            // Signature ZIP "PK\x03\x04"
+            if (input.length >= 4 && input.readUInt32LE(0) === 0x04034b50) {
+                try { zip = new AdmZip(input); } catch (e) { throw invalid("Archive ZIP illisible"); }
+                const manifest = zip.getEntry(MANIFEST_NAME);
+                if (!manifest) throw invalid(`Archive sans ${MANIFEST_NAME}`);
+                input = manifest.getData();
+            }
+            try { bundle = JSON.parse(input.toString('utf8')); } catch (e) { throw invalid("Bundle JSON illisible"); }
+        } else {
+            bundle = input;
+        }
+
+        validationService.assert('cabinetBundle', bundle, 'Bundle invalide');
+        if (bundle.version > BUNDLE_VERSION) {
+            throw invalid(`Bundle en version ${bundle.version}, cette instance lit jusqu'à la version ${BUNDLE_VERSION}`);
+        }
+
+        const details = [];
+        const ids = new Set();
+        const documents = new Map();
+        bundle.personas.forEach((p, i) => {
+            if (ids.has(p.id)) details.push({ path: `personas[${i}].id`, message: `est en double (${p.id})` });
+            ids.add(p.id);
+            const names = new Set();
+            (p.knowledge || []).forEach((k, j) => {
+                const path = `personas[${i}].knowledge[${j}]`;
+                if (names.has(k.name)) details.push({ path: `${path}.name`, message: `est en double (${k.name})` });
+                names.add(k.name);
+                if (!k.document) return;
+                const file = zip?.getEntry(k.document);
+                if (!file) return details.push({ path: `${path}.document`, message: `absent de l'archive (${k.document})` });
+                if (k.type === 'file' && !this.documentFormat(k)) return details.push({ path: `${path}.format`, message: `non supporté (${ExtractionService.SUPPORTED_LABEL} uniquement)` });
+                const buffer = file.getData();
+                if (k.contentHash && sha256(buffer) !== k.contentHash) return details.push({ path: `${path}.document`, message: 'ne correspond pas à contentHash' });
+                documents.set(k.document, buffer);
+            });
+        });
+        if (details.length) throw invalid(`Bundle invalide : ${details[0].path} ${details[0].message}`, details);
+        return { bundle, documents };
+    }
+
+    /**
+     * Compare le bundle aux personas existants (ce que ferait l'import, sans rien écrire).
+     * L'import fusionne : les personas et documents absents du bundle ne sont pas touchés.
+     * Un document du manifeste sans fichier joint ne peut être installé que s'il existe déjà à l'identique.
+     * @returns {Array<{id: string, ministry: string, action: string, fields: Array<string>, knowledge: object}>}
+     */
+    diff(bundle, currentPersonas, documents = new Map()) {
+        return bundle.personas.map(incoming => {
+            const current = currentPersonas.find(p => p.id === incoming.id);
+            const fields = PERSONA_FIELDS.filter(f => incoming[f] !== undefined && (!current || JSON.stringify(incoming[f]) !== JSON.stringify(current[f])));
+            const knowledge = { added: [], updated: [], unchanged: [], missing: [] };
+
+            (incoming.knowledge || []).forEach(k => {
+                const local = (current?.knowledge || []).find(l => l.name === k.name);
+                const sameContent = local && k.contentHash && local.contentHash === k.contentHash && local.status !== 'failed';
+                if (sameContent) knowledge.unchanged.push(k.name);
+                else if (!documents.has(k.document)) knowledge.missing.push(k.name);
+                else if (local) knowledge.updated.push(k.name);
+                else knowledge.added.push(k.name);
+            });
+
+            const action = !current ? 'create'
+                : fields.length || knowledge.added.length || knowledge.updated.length ? 'update'
+                : 'unchanged';
+            return { id: incoming.id, ministry: incoming.ministry, action, fields, knowledge };
+        });
+    }
+
+    /**
+     * Format d'extraction d'un document du manifeste (null pour une note ou un format non supporté).
+     */
+    documentFormat(entry) {
+        if (entry.type === 'text') return null;
+        const declared = entry.format && ExtractionService.mimeTypeOf(entry.format) !== 'application/octet-stream' ? entry.format : null;
+        return declared || ExtractionService.detectFormat(null, entry.name);
+    }
+
+    /**
+     * Champs du persona à enregistrer (création ou mise à jour).
+     */
+    personaFields(incoming) {
+        return Object.fromEntries(PERSONA_FIELDS.filter(f => incoming[f] !== undefined).map(f => [f, incoming[f]]));
+    }
+}
+
+module.exports = new CabinetService();
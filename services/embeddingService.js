@@ -0,0 +1,160 @@
+const OpenAI = require('openai');
+
+// Dimensions connues des modèles OpenAI (évite un appel de sonde au démarrage)
+const KNOWN_DIMENSIONS = {
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072,
+    'text-embedding-ada-002': 1536,
+};
+
+const BATCH_SIZE = 100; // Limite raisonnable par appel API
+
+/**
+ * Fournisseur OpenAI ou compatible OpenAI (Ollama, LocalAI, vLLM, TEI...).
+ * Le client n'est créé qu'au premier appel pour ne pas exiger de clé au chargement.
+ */
+class OpenAIEmbeddingProvider {
+    constructor({ name = 'openai', apiKey, baseURL, model, dimensions } = {}) {
+        this.name = name;
+        this.apiKey = apiKey;
+        this.baseURL = baseURL;
+        this.model = model;
+        this.dimensions = dimensions || KNOWN_DIMENSIONS[model] || null;
+        this._client = null;
+    }
+
+    get client() {
+        if (!this._client) {
+            if (!this.apiKey && !this.baseURL) {
+                throw new Error(`[Embeddings] Clé API manquante pour le fournisseur "${this.name}" (OPENAI_API_KEY ou EMBEDDING_API_KEY)`);
+            }
+            this._client = new OpenAI({
+                // Les serveurs locaux ignorent la clé mais le SDK en exige une
+                apiKey: this.apiKey || 'local',
+                baseURL: this.baseURL,
+            });
+        }
+        return this._client;
+    }
+
+    /**
+     * Dimension des vecteurs produits. Sonde le serveur si elle n'est pas configurée.
+     */
+    async getDimension() {
+        if (!this.dimensions) {
+            const [probe] = await this.embed(['dimension']);
+            this.dimensions = probe.length;
+            console.log(`[Embeddings] Dimension détectée pour ${this.model}: ${this.dimensions}`);
+        }
+        return this.dimensions;
+    }
+
+    async embed(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+            const response = await this.client.embeddings.create({
+                model: this.model,
+                input: texts.slice(i, i + BATCH_SIZE),
+                encoding_format: "float",
+            });
+            vectors.push(...response.data.map(item => item.embedding));
+        }
+        return vectors;
+    }
+}
+
+/**
+ * Embedder local déterministe (n-grammes hachés), sans réseau.
+ * Qualité sémantique limitée : destiné aux tests et aux déploiements isolés.
+ */
+class LocalHashEmbeddingProvider {
+    constructor({ dimensions = 384, ngram = 3 } = {}) {
+        this.name = 'local';
+        this.model = `hashed-${ngram}gram`;
+        this.dimensions = dimensions;
+        this.ngram = ngram;
+    }
+
+    async getDimension() { return this.dimensions; }
+
+    async embed(texts) {
+        return texts.map(t => this.embedOne(t));
+    }
+
+    embedOne(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const normalized = String(text || '')
+            .toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+
+        for (const word of normalized.split(' ').filter(Boolean)) {
+            // Mot entier + n-grammes de caractères (robuste aux flexions)
+            this.addFeature(vector, `w:${word}`, 1);
+            const padded = ` ${word} `;
+            for (let i = 0; i + this.ngram <= padded.length; i++) {
+                this.addFeature(vector, `c:${padded.slice(i, i + this.ngram)}`, 0.5);
+            }
+        }
+
+        const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0));
+        return norm > 0 ? vector.map(v => v / norm) : vector;
+    }
+
+    addFeature(vector, feature, weight) {
+        const hash = fnv1a(feature);
+        const sign = (hash & 0x80000000) ? -1 : 1;
+        vector[hash % this.dimensions] += sign * weight;
+    }
+}
+
+// Hash FNV-1a 32 bits (non signé)
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Instancie le fournisseur d'embeddings selon la configuration :
+ * - EMBEDDING_PROVIDER = "openai" (défaut) | "openai-compatible" | "local"
+ * - EMBEDDING_MODEL, EMBEDDING_BASE_URL, EMBEDDING_API_KEY, EMBEDDING_DIMENSIONS
+ */
+function createEmbeddingProvider(env = process.env) {
+    const provider = (env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+    const dimensions = env.EMBEDDING_DIMENSIONS ? Number(env.EMBEDDING_DIMENSIONS) : undefined;
+
+    switch (provider) {
+        case 'openai':
+            return new OpenAIEmbeddingProvider({
+                name: 'openai',
+                apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY,
+                model: env.EMBEDDING_MODEL || 'text-embedding-3-small',
+                dimensions,
+            });
+        case 'openai-compatible':
+            if (!env.EMBEDDING_BASE_URL) throw new Error("[Embeddings] EMBEDDING_BASE_URL requis pour le fournisseur openai-compatible");
+            return new OpenAIEmbeddingProvider({
+                name: 'openai-compatible',
+                apiKey: env.EMBEDDING_API_KEY,
+                baseURL: env.EMBEDDING_BASE_URL,
+                model: env.EMBEDDING_MODEL || 'nomic-embed-text',
+                dimensions,
+            });
+        case 'local':
+            return new LocalHashEmbeddingProvider({ dimensions });
+        default:
+            throw new Error(`[Embeddings] Fournisseur inconnu: ${provider}`);
+    }
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    OpenAIEmbeddingProvider,
+    LocalHashEmbeddingProvider,
+    KNOWN_DIMENSIONS,
+};
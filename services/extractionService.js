@@ -0,0 +1,231 @@
+const path = require('path');
+const { PDFParse } = require('pdf-parse'); // npm install pdf-parse (v2)
+const mammoth = require('mammoth');
+const AdmZip = require('adm-zip');
+const { parse: parseHtml } = require('node-html-parser');
+
+// Formats reconnus : type MIME déclaré, puis extension en repli (les navigateurs
+// envoient souvent application/octet-stream pour .md ou .odt)
+const FORMATS = {
+    pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+    txt: { mimeTypes: ['text/plain'], extensions: ['.txt'] },
+    docx: { mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], extensions: ['.docx'] },
+    odt: { mimeTypes: ['application/vnd.oasis.opendocument.text'], extensions: ['.odt'] },
+    html: { mimeTypes: ['text/html', 'application/xhtml+xml'], extensions: ['.html', '.htm', '.xhtml'] },
+    markdown: { mimeTypes: ['text/markdown', 'text/x-markdown'], extensions: ['.md', '.markdown'] },
+};
+
+const CANONICAL_MIME = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    docx: FORMATS.docx.mimeTypes[0],
+    odt: FORMATS.odt.mimeTypes[0],
+    html: 'text/html',
+    markdown: 'text/markdown',
+};
+
+const HTML_BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'li', 'tr', 'br', 'table', 'ul', 'ol', 'blockquote', 'pre', 'dd', 'dt', 'figcaption']);
+const HTML_SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'head']);
+
+/**
+ * Extraction de texte multi-formats.
+ * Chaque extracteur renvoie des segments `{ text, metadata }` :
+ * - PDF : un segment par page (page_number)
+ * - DOCX / ODT / HTML / Markdown : un segment par section (heading_path = titres englobants)
+ */
+const ExtractionService = {
+
+    SUPPORTED_LABEL: 'PDF, TXT, DOCX, ODT, HTML, Markdown',
+
+    /**
+     * Détermine le format d'un fichier, ou null s'il n'est pas supporté.
+     */
+    detectFormat(mimetype, filename = '') {
+        const ext = path.extname(filename).toLowerCase();
+        const byMime = Object.keys(FORMATS).find(f => FORMATS[f].mimeTypes.includes(mimetype));
+        // text/plain est souvent annoncé pour du Markdown : l'extension prime alors
+        if (byMime && !(byMime === 'txt' && FORMATS.markdown.extensions.includes(ext))) return byMime;
+        return Object.keys(FORMATS).find(f => FORMATS[f].extensions.includes(ext)) || null;
+    },
+
+    /**
+     * Type MIME normalisé d'un format (pour le stockage MinIO).
+     */
+    mimeTypeOf(format) {
+        return CANONICAL_MIME[format] || 'application/octet-stream';
+    },
+
+    /**
+     * Extrait les segments d'un document.
+     * Lève une erreur `status = 400` si le format n'est pas supporté.
+     * @param {Buffer} buffer - Contenu du fichier
+     * @param {object} info - { mimetype, filename }
+     * @returns {Promise<{format: string, segments: Array<object>, meta: object}>}
+     */
+    async extract(buffer, { mimetype, filename } = {}) {
+        const format = this.detectFormat(mimetype, filename);
+        if (!format) {
+            const error = new Error(`Format non supporté (${this.SUPPORTED_LABEL} uniquement)`);
+            error.status = 400;
+            throw error;
+        }
+
+        const result = await EXTRACTORS[format](buffer);
+        return { format, segments: result.segments, meta: { page_count: 1, format, ...(result.meta || {}) } };
+    },
+};
+
+const EXTRACTORS = {
+    async pdf(buffer) {
+        const parser = new PDFParse({ data: buffer });
+        try {
+            // Extraction page par page avec pdf-parse
+            const textResult = await parser.getText();
+            const meta = { page_count: textResult.total || textResult.pages.length };
+            try { meta.info = (await parser.getInfo()).info; } catch (e) {}
+            return {
+                segments: textResult.pages.map(page => ({ text: page.text, metadata: { page_number: page.num } })),
+                meta
+            };
+        } finally {
+            await parser.destroy();
+        }
+    },
+
+    async txt(buffer) {
+        return { segments: [{ text: buffer.toString('utf8'), metadata: {} }] };
+    },
+
+    async docx(buffer) {
+        // Les styles "Titre 1..6" de Word deviennent des <h1..h6>
+        const { value: html } = await mammoth.convertToHtml({ buffer });
+        return htmlToSections(html);
+    },
+
+    async odt(buffer) {
+        const entry = new AdmZip(buffer).getEntry('content.xml');
+        if (!entry) throw Object.assign(new Error("Document ODT invalide (content.xml absent)"), { status: 400 });
+        return odtToSections(entry.getData().toString('utf8'));
+    },
+
+    async html(buffer) {
+        return htmlToSections(buffer.toString('utf8'));
+    },
+
+    async markdown(buffer) {
+        return markdownToSections(buffer.toString('utf8'));
+    },
+};
+
+/**
+ * Accumule des blocs de texte en sections délimitées par les titres.
+ */
+function createSectionBuilder() {
+    const sections = [];
+    const headings = []; // pile des titres : headings[level - 1]
+    let current = { lines: [], path: [] };
+
+    const flush = () => {
+        const text = current.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+        if (text) {
+            const metadata = current.path.length ? { heading_path: current.path, section_title: current.path.join(' > ') } : {};
+            sections.push({ text, metadata });
+        }
+    };
+
+    return {
+        heading(level, title) {
+            title = title.replace(/\s+/g, ' ').trim();
+            if (!title) return;
+            flush();
+            headings.length = level - 1;
+            headings[level - 1] = title;
+            current = { lines: [title], path: headings.filter(Boolean) };
+        },
+        text(line) { current.lines.push(line); },
+        done() { flush(); return { segments: sections }; }
+    };
+}
+
+function htmlToSections(html) {
+    const root = parseHtml(html, { blockTextElements: { script: false, style: false, noscript: false } });
+    const builder = createSectionBuilder();
+    let buffer = '';
+    const flushText = () => { if (buffer.trim()) builder.text(buffer.replace(/[ \t]+/g, ' ').trim()); buffer = ''; };
+
+    const walk = (node) => {
+        if (node.nodeType === 3) { buffer += node.text; return; }
+        if (node.nodeType !== 1) return;
+        const tag = (node.rawTagName || '').toLowerCase();
+        if (HTML_SKIPPED_TAGS.has(tag)) return;
+
+        const headingMatch = /^h([1-6])$/.exec(tag);
+        if (headingMatch) {
+            flushText();
+            builder.heading(Number(headingMatch[1]), node.text);
+            return;
+        }
+        if (HTML_BLOCK_TAGS.has(tag)) flushText();
+        node.childNodes.forEach(walk);
+        if (HTML_BLOCK_TAGS.has(tag)) flushText();
+    };
+
+    walk(root);
+    flushText();
+    return builder.done();
+}
+
+function odtToSections(xml) {
+    const builder = createSectionBuilder();
+    const body = xml.slice(Math.max(0, xml.indexOf('<office:body')));
+    const blockRe = /<text:(h|p)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/text:\1>)/g;
+    let match;
+    while ((match = blockRe.exec(body)) !== null) {
+        const [, kind, attrs, inner = ''] = match;
+        const text = odtInlineText(inner);
+        if (kind === 'h') {
+            const level = Number((/text:outline-level="(\d+)"/.exec(attrs) || [])[1] || 1);
+            builder.heading(Math.min(Math.max(level, 1), 6), text);
+        } else if (text.trim()) {
+            builder.text(text.trim());
+        }
+    }
+    return builder.done();
+}
+
+function odtInlineText(xml) {
+    return xml
+        .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, c) => ' '.repeat(Number(c || 1)))
+        .replace(/<text:tab\s*\/>/g, '\t')
+        .replace(/<text:line-break\s*\/>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function markdownToSections(markdown) {
+    const builder = createSectionBuilder();
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    let inFence = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        if (!inFence) {
+            // Titre ATX (# Titre) ou Setext (Titre souligné par === / ---)
+            const atx = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            if (atx) { builder.heading(atx[1].length, atx[2]); continue; }
+            const next = lines[i + 1];
+            if (line.trim() && next !== undefined && /^\s*(=+|-+)\s*$/.test(next)) {
+                builder.heading(next.trim().startsWith('=') ? 1 : 2, line);
+                i++;
+                continue;
+            }
+        }
+        builder.text(line);
+    }
+    return builder.done();
+}
+
+module.exports = ExtractionService;
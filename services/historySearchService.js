@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+
+const HISTORY_COLLECTION = process.env.QDRANT_HISTORY_COLLECTION || `${process.env.QDRANT_COLLECTION || 'gouvbrain_knowledge'}_history`;
+const SNIPPET_RADIUS = 120;
+const UPSERT_BATCH = 256;
+const KINDS = ['question', 'answer', 'synthesis'];
+
+// Minuscules sans accents : "subventions carburant" trouve "Subventions aux carburants"
+function fold(str) {
+    return String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Id de point Qdrant déterministe (même dérivation que qdrantService)
+function pointId(key) {
+    const h = sha256(key);
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+/**
+ * Recherche dans l'historique de tous les salons.
+ * Chaque message est découpé en unités : la question, chaque réponse de ministère, la synthèse.
+ * - keyword  : correspondance de tous les termes (insensible à la casse et aux accents)
+ * - semantic : similarité vectorielle dans une collection Qdrant dédiée (QDRANT_HISTORY_COLLECTION),
+ *              tenue à jour à chaque recherche (seules les unités nouvelles sont vectorisées)
+ */
+class HistorySearchService {
+    constructor() {
+        this.client = null;
+        this.embedder = null;
+        this.ready = null;
+        this.indexed = null; // pointId -> { hash, roomId } des unités déjà vectorisées
+        this.syncing = Promise.resolve();
+    }
+
+    get kinds() { return KINDS; }
+
+    /**
+     * Unités de recherche d'un salon, dans l'ordre de la séance.
+     */
+    units(room) {
+        const units = [];
+        (room.messages || []).forEach((msg, index) => {
+            const base = { roomId: room.id, roomName: room.name, archived: !!room.archivedAt, messageId: msg.id || null, messageIndex: index, at: msg.timestamp || null };
+            if (msg.role === 'user') {
+                units.push({ ...base, kind: 'question', personaId: null, ministry: null, author: msg.author?.name || null, text: String(msg.content || '') });
+                return;
+            }
+            const content = msg.content?.data ?? msg.content ?? {};
+            if (typeof content === 'string') {
+                units.push({ ...base, kind: 'answer', personaId: null, ministry: null, author: null, text: content });
+                return;
+            }
+            (content.responses || []).forEach((r, i) => units.push({
+                ...base, kind: 'answer', part: i, personaId: r.persona_id || null, ministry: r.ministry_name || null, author: null, text: String(r.text || '')
+            }));
+            if (content.global_synthesis) units.push({ ...base, kind: 'synthesis', personaId: null, ministry: null, author: null, text: String(content.global_synthesis) });
+        });
+        return units.filter(u => u.text.trim());
+    }
+
+    /**
+     * @param {Array<object>} rooms - Salons consultables par l'utilisateur
+     * @param {object} params - { q, mode, ministry, roomId, from, to, kind, limit }
+     * @returns {Promise<{mode: string, total: number, results: Array<object>}>}
+     */
+    async search(rooms, { q, mode = 'keyword', ministry, roomId, from, to, kind, limit = 20 } = {}) {
+        if (!q || !String(q).trim()) throw Object.assign(new Error("Requête vide"), { status: 400 });
+        if (kind && !KINDS.includes(kind)) throw Object.assign(new Error(`Type inconnu (${KINDS.join(', ')})`), { status: 400 });
+        const fromTime = from ? new Date(from).getTime() : null;
+        // Une date seule (AAAA-MM-JJ) couvre toute la journée
+        const toTime = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86399999 : 0) : null;
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) throw Object.assign(new Error("Date invalide"), { status: 400 });
+
+        const filters = { ministry: ministry ? fold(ministry) : null, roomId, fromTime, toTime, kind };
+        const scope = rooms.filter(r => !roomId || r.id === roomId);
+        const max = Math.min(Number(limit) || 20, 100);
+
+        if (mode === 'semantic') return this.semantic(scope, String(q), filters, max);
+        if (mode !== 'keyword') throw Object.assign(new Error("Mode inconnu (keyword, semantic)"), { status: 400 });
+        return this.keyword(scope, String(q), filters, max);
+    }
+
+    matchesFilters(unit, { ministry, fromTime, toTime, kind }) {
+        if (kind && unit.kind !== kind) return false;
+        if (ministry && fold(unit.ministry) !== ministry && fold(unit.personaId) !== ministry) return false;
+        const time = unit.at ? new Date(unit.at).getTime() : null;
+        if (fromTime && (!time || time < fromTime)) return false;
+        if (toTime && (!time || time > toTime)) return false;
+        return true;
+    }
+
+    keyword(rooms, q, filters, limit) {
+        const phrase = fold(q).trim();
+        const terms = [...new Set(phrase.split(/\s+/).filter(Boolean))];
+        const results = [];
+        rooms.forEach(room => this.units(room).forEach(unit => {
+            if (!this.matchesFilters(unit, filters)) return;
+            const haystack = fold(unit.text);
+            if (!terms.every(t => haystack.includes(t))) return;
+            // Fréquence des termes, bonus si l'expression complète apparaît telle quelle
+            const score = terms.reduce((sum, t) => sum + haystack.split(t).length - 1, 0) + (terms.length > 1 && haystack.includes(phrase) ? terms.length : 0);
+            results.push(this.toResult(unit, score, haystack.indexOf(terms[0])));
+        }));
+        results.sort((a, b) => b.score - a.score || String(b.at).localeCompare(String(a.at)));
+        return { mode: 'keyword', total: results.length, results: results.slice(0, limit) };
+    }
+
+    async semantic(rooms, q, filters, limit) {
+        if (!rooms.length) return { mode: 'semantic', total: 0, results: [] };
+        await this.sync(rooms);
+        const must = [{ key: 'room_id', match: { any: rooms.map(r => r.id) } }];
+        if (filters.kind) must.push({ key: 'kind', match: { value: filters.kind } });
+        if (filters.fromTime || filters.toTime) must.push({ key: 'at_ts', range: { gte: filters.fromTime ?? undefined, lte: filters.toTime ?? undefined } });
+
+        const vector = (await this.embedder.embed([q.replace(/\n/g, ' ')]))[0];
+        // Le filtre ministère (libellé ou id) est appliqué après coup : on élargit la requête
+        const hits = await this.client.search(HISTORY_COLLECTION, { vector, filter: { must }, limit: filters.ministry ? limit * 5 : limit, with_payload: true });
+        const results = hits
+            .map(hit => ({ unit: hit.payload.unit, score: hit.score }))
+            .filter(({ unit }) => this.matchesFilters(unit, filters))
+            .slice(0, limit)
+            .map(({ unit, score }) => {
+                // Nom et état du salon à jour (l'unité a pu être indexée avant un renommage)
+                const room = rooms.find(r => r.id === unit.roomId);
+                return this.toResult({ ...unit, roomName: room?.name ?? unit.roomName, archived: !!room?.archivedAt }, score, 0);
+            });
+        return { mode: 'semantic', total: results.length, results };
+    }
+
+    toResult(unit, score, position) {
+        const start = Math.max(0, position - SNIPPET_RADIUS);
+        const end = Math.min(unit.text.length, Math.max(position, 0) + SNIPPET_RADIUS);
+        const snippet = `${start > 0 ? '…' : ''}${unit.text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < unit.text.length ? '…' : ''}`;
+        const { text, part, ...rest } = unit;
+        return { ...rest, snippet, score };
+    }
+
+    // --- Index vectoriel de l'historique ---
+
+    /**
+     * Client Qdrant et fournisseur d'embeddings créés à la première recherche sémantique.
+     */
+    async ensureIndex() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                const { QdrantClient } = require('@qdrant/js-client-rest');
+                const { createEmbeddingProvider } = require('./embeddingService');
+                this.client = new QdrantClient({ url: process.env.QDRANT_URL || 'http://localhost:6333', apiKey: process.env.QDRANT_API_KEY });
+                this.embedder = createEmbeddingProvider();
+                const size = await this.embedder.getDimension();
+
+                const { collections } = await this.client.getCollections();
+                if (!collections.some(c => c.name === HISTORY_COLLECTION)) {
+                    console.log(`[History] Création de la collection ${HISTORY_COLLECTION} (dim ${size})...`);
+                    await this.client.createCollection(HISTORY_COLLECTION, { vectors: { size, distance: 'Cosine' } });
+                    await this.client.createPayloadIndex(HISTORY_COLLECTION, { field_name: 'room_id', field_schema: 'keyword' });
+                    await this.client.createPayloadIndex(HISTORY_COLLECTION, { field_name: 'at_ts', field_schema: 'integer' });
+                }
+
+                // Inventaire des points existants (empreintes) pour ne vectoriser que le nouveau
+                this.indexed = new Map();
+                let offset;
+                do {
+                    const page = await this.client.scroll(HISTORY_COLLECTION, { limit: 256, offset, with_payload: ['text_hash', 'room_id'], with_vector: false });
+                    page.points.forEach(p => this.indexed.set(String(p.id), { hash: p.payload?.text_hash, roomId: p.payload?.room_id }));
+                    offset = page.next_page_offset ?? undefined;
+                } while (offset !== undefined && offset !== null);
+            })().catch(e => { this.ready = null; throw e; });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Met l'index au niveau des salons (unités nouvelles ou modifiées vectorisées, salons disparus retirés).
+     * Les synchronisations sont sérialisées pour ne pas vectoriser deux fois les mêmes unités.
+     */
+    sync(rooms) {
+        const run = this.syncing.then(async () => {
+            await this.ensureIndex();
+            const units = rooms.flatMap(room => this.units(room).map(unit => ({
+                ...unit,
+                id: pointId(`${unit.roomId}|${unit.messageId || unit.messageIndex}|${unit.kind}|${unit.part ?? ''}`),
+                hash: sha256(unit.text)
+            })));
+            const pending = units.filter(u => this.indexed.get(u.id)?.hash !== u.hash);
+            if (pending.length) {
+                const vectors = await this.embedder.embed(pending.map(u => u.text.replace(/\n/g, ' ')));
+                const points = pending.map((u, i) => {
+                    const { id, hash, ...unit } = u;
+                    return { id, vector: vectors[i], payload: { room_id: u.roomId, kind: u.kind, at_ts: u.at ? new Date(u.at).getTime() : null, text_hash: hash, unit } };
+                });
+                for (let i = 0; i < points.length; i += UPSERT_BATCH) {
+                    await this.client.upsert(HISTORY_COLLECTION, { wait: true, points: points.slice(i, i + UPSERT_BATCH) });
+                }
+                pending.forEach(u => this.indexed.set(u.id, { hash: u.hash, roomId: u.roomId }));
+                console.log(`[History] ${pending.length} unités indexées.`);
+            }
+        });
+        this.syncing = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Retire un salon supprimé de l'index (sans effet si l'index n'a jamais été utilisé).
+     */
+    async removeRoom(roomId) {
+        if (!this.ready) return;
+        await this.ensureIndex();
+        await this.client.delete(HISTORY_COLLECTION, { wait: true, filter: { must: [{ key: 'room_id', match: { value: roomId } }] } });
+        for (const [id, entry] of this.indexed) if (entry.roomId === roomId) this.indexed.delete(id);
+    }
+}
+
+module.exports = new HistorySearchService();
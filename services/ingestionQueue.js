@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const JOB_STATES = ['queued', 'extracting', 'embedding', 'indexed', 'failed'];
+const ACTIVE_STATES = ['extracting', 'embedding'];
+const TERMINAL_STATES = ['indexed', 'failed'];
+const RETENTION_MS = 7 * 86400000; // Jobs terminés conservés 7 jours
+
+/**
+ * File d'ingestion en arrière-plan (un job à la fois), sur le modèle du taskStore :
+ * mémoire (primaire) + fichier JSON (sauvegarde, reprise après redémarrage).
+ *
+ * Cycle de vie : queued -> extracting -> embedding -> indexed | failed
+ * Un échec repasse en "queued" avec un délai exponentiel tant que maxAttempts n'est pas atteint.
+ * Émet "update" (job) à chaque changement d'état.
+ */
+class IngestionQueue extends EventEmitter {
+    constructor({ maxAttempts = 3, baseDelayMs = 5000 } = {}) {
+        super();
+        this.jobs = new Map();
+        this.filePath = null;
+        this.processor = null;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.running = false;
+        this.timer = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Charge les jobs persistés. Les jobs interrompus en cours de traitement sont remis en file.
+     * @param {string} filePath - Fichier JSON de sauvegarde
+     * @param {function(object, function(string)): Promise<object>} processor - Traite un job, reçoit setState(state)
+     */
+    async init(filePath, processor) {
+        this.filePath = filePath;
+        this.processor = processor;
+        try {
+            const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            (saved.jobs || []).forEach(job => {
+                if (ACTIVE_STATES.includes(job.state)) job.state = 'queued';
+                this.jobs.set(job.id, job);
+            });
+            console.log(`[Ingest Queue] ${this.jobs.size} jobs restaurés.`);
+        } catch (e) { /* Pas encore de sauvegarde */ }
+        this.pump();
+    }
+
+    /**
+     * Ajoute un job en file et déclenche le traitement.
+     */
+    enqueue(data) {
+        const now = new Date().toISOString();
+        const job = { ...data, id: crypto.randomUUID(), state: 'queued', attempts: 0, createdAt: now, updatedAt: now };
+        this.jobs.set(job.id, job);
+        this.touch(job);
+        this.pump();
+        return job;
+    }
+
+    get(jobId) { return this.jobs.get(jobId); }
+
+    /**
+     * Liste les jobs (plus récents d'abord), filtrés sur les champs de la cible ou l'état.
+     */
+    list({ personaId, roomId, state } = {}) {
+        return Array.from(this.jobs.values())
+            .filter(j => !personaId || j.target?.personaId === personaId)
+            .filter(j => !roomId || j.target?.roomId === roomId)
+            .filter(j => !state || j.state === state)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Relance manuelle d'un job en échec (compteur de tentatives remis à zéro).
+     */
+    retry(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.state !== 'failed') return null;
+        Object.assign(job, { state: 'queued', attempts: 0, error: null, nextAttemptAt: null });
+        this.touch(job);
+        this.pump();
+        return job;
+    }
+
+    /**
+     * Abandonne un job encore en file (le document a été supprimé entre-temps).
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.state !== 'queued') return false;
+        Object.assign(job, { state: 'failed', error: 'Annulé' });
+        this.touch(job);
+        return true;
+    }
+
+    /**
+     * Traite les jobs prêts un par un ; programme un réveil pour le prochain job différé.
+     */
+    async pump() {
+        if (this.running || !this.processor) return;
+        this.running = true;
+        clearTimeout(this.timer);
+        try {
+            let job;
+            while ((job = this.nextReadyJob())) await this.runJob(job);
+
+            const delays = Array.from(this.jobs.values())
+                .filter(j => j.state === 'queued' && j.nextAttemptAt)
+                .map(j => new Date(j.nextAttemptAt).getTime() - Date.now());
+            if (delays.length) this.timer = setTimeout(() => this.pump(), Math.max(0, Math.min(...delays)));
+        } finally {
+            this.running = false;
+        }
+    }
+
+    nextReadyJob() {
+        const now = Date.now();
+        return Array.from(this.jobs.values())
+            .filter(j => j.state === 'queued' && (!j.nextAttemptAt || new Date(j.nextAttemptAt).getTime() <= now))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+    }
+
+    async runJob(job) {
+        job.attempts += 1;
+        const setState = (state) => {
+            if (!JOB_STATES.includes(state) || job.state === state) return;
+            job.state = state;
+            this.touch(job);
+        };
+
+        try {
+            console.log(`[Ingest Queue] Job ${job.id} (${job.sourceName}) tentative ${job.attempts}/${this.maxAttempts}`);
+            setState('extracting');
+            const stats = await this.processor(job, setState);
+            Object.assign(job, { state: 'indexed', stats: stats || null, error: null, nextAttemptAt: null, indexedAt: new Date().toISOString() });
+        } catch (e) {
+            // Les erreurs de validation (status 4xx) ou d'annulation ne se corrigent pas en réessayant
+            const retriable = !e.permanent && !(e.status >= 400 && e.status < 500) && job.attempts < this.maxAttempts;
+            if (retriable) {
+                const delay = this.baseDelayMs * 2 ** (job.attempts - 1);
+                Object.assign(job, { state: 'queued', error: e.message, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+                console.warn(`[Ingest Queue] Job ${job.id} en échec (${e.message}), nouvel essai dans ${delay} ms`);
+            } else {
+                Object.assign(job, { state: 'failed', error: e.message, nextAttemptAt: null });
+                console.error(`[Ingest Queue] Job ${job.id} abandonné:`, e.message);
+            }
+        }
+        this.touch(job);
+    }
+
+    /**
+     * Horodate, notifie et persiste un job modifié.
+     */
+    touch(job) {
+        job.updatedAt = new Date().toISOString();
+        this.emit('update', { ...job });
+        this.save();
+    }
+
+    /**
+     * Sauvegarde sérialisée sur disque (nettoyage des jobs terminés anciens).
+     */
+    save() {
+        if (!this.filePath) return this.saving;
+        this.saving = this.saving.then(async () => {
+            try {
+                const limit = Date.now() - RETENTION_MS;
+                const jobs = Array.from(this.jobs.values())
+                    .filter(j => !TERMINAL_STATES.includes(j.state) || new Date(j.updatedAt).getTime() > limit);
+                await fs.writeFile(this.filePath, JSON.stringify({ jobs }, null, 2), 'utf8');
+            } catch (e) { console.error("[Ingest Queue] Erreur sauvegarde:", e.message); }
+        });
+        return this.saving;
+    }
+}
+
+IngestionQueue.JOB_STATES = JOB_STATES;
+IngestionQueue.TERMINAL_STATES = TERMINAL_STATES;
+
+module.exports = new IngestionQueue({
+    maxAttempts: Number(process.env.INGEST_MAX_ATTEMPTS || 3),
+    baseDelayMs: Number(process.env.INGEST_RETRY_DELAY_MS || 5000)
+});
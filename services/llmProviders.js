@@ -0,0 +1,187 @@
+const OpenAI = require('openai');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+function providerError(message, status = 502) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Fournisseur OpenAI ou compatible OpenAI (Ollama, vLLM, LM Studio, llama.cpp...).
+ * Le client n'est créé qu'au premier appel pour ne pas exiger de clé au chargement.
+ * jsonMode : envoie response_format json_object (tous les serveurs locaux ne le gèrent pas).
+ */
+class OpenAILlmProvider {
+    constructor({ name = 'openai', apiKey, baseURL, model, jsonMode = true } = {}) {
+        this.name = name;
+        this.apiKey = apiKey;
+        this.baseURL = baseURL;
+        this.model = model;
+        this.jsonMode = jsonMode;
+        this._client = null;
+    }
+
+    get client() {
+        if (!this._client) {
+            if (!this.apiKey && !this.baseURL) {
+                throw providerError(`[LLM] Configuration manquante pour le fournisseur "${this.name}" (LLM_API_KEY/OPENAI_API_KEY ou LLM_BASE_URL)`, 503);
+            }
+            // Les serveurs locaux ignorent la clé mais le SDK en exige une
+            this._client = new OpenAI({ apiKey: this.apiKey || 'local', baseURL: this.baseURL });
+        }
+        return this._client;
+    }
+
+    async chat({ system, messages = [], model, temperature, maxTokens, json = false, signal }) {
+        const client = this.client;
+        try {
+            const response = await client.chat.completions.create({
+                model: model || this.model,
+                temperature,
+                max_tokens: maxTokens,
+                ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    ...messages
+                ],
+            }, { signal });
+            return (response.choices?.[0]?.message?.content || '').trim();
+        } catch (e) {
+            if (signal?.aborted) throw e;
+            throw providerError(`[LLM ${this.name}] ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Fournisseur Gemini (API generateContent). La clé passe par l'en-tête x-goog-api-key,
+ * jamais dans l'URL (elle finirait dans les journaux des proxys).
+ */
+class GeminiLlmProvider {
+    constructor({ apiKey, model, baseURL = GEMINI_BASE_URL } = {}) {
+        this.name = 'gemini';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.baseURL = baseURL.replace(/\/+$/, '');
+    }
+
+    async chat({ system, messages = [], model, temperature, maxTokens, json = false, signal }) {
+        if (!this.apiKey) throw providerError("[LLM] GEMINI_API_KEY manquante pour le fournisseur gemini", 503);
+
+        const res = await fetch(`${this.baseURL}/models/${encodeURIComponent(model || this.model)}:generateContent`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': this.apiKey },
+            body: JSON.stringify({
+                ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+                contents: toGeminiContents(messages),
+                generationConfig: {
+                    ...(temperature !== undefined ? { temperature } : {}),
+                    ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+                    ...(json ? { responseMimeType: 'application/json' } : {})
+                }
+            }),
+            signal
+        });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw providerError(`[LLM gemini] ${res.status} ${body.error?.message || res.statusText}`);
+
+        if (body.promptFeedback?.blockReason) throw providerError(`[LLM gemini] Requête bloquée (${body.promptFeedback.blockReason})`);
+        const candidate = body.candidates?.[0];
+        const text = (candidate?.content?.parts || []).map(p => p.text || '').join('');
+        if (!text && candidate?.finishReason) throw providerError(`[LLM gemini] Réponse vide (${candidate.finishReason})`);
+        return text.trim();
+    }
+}
+
+// Gemini attend des tours user/model alternés : les messages consécutifs d'un même rôle sont regroupés
+function toGeminiContents(messages) {
+    const contents = [];
+    for (const m of messages) {
+        const role = m.role === 'assistant' ? 'model' : 'user';
+        const last = contents[contents.length - 1];
+        if (last && last.role === role) last.parts.push({ text: m.content });
+        else contents.push({ role, parts: [{ text: m.content }] });
+    }
+    return contents;
+}
+
+/**
+ * Fournisseur factice, sans réseau, pour les tests et les démonstrations.
+ * Renvoie les réponses programmées dans l'ordre (la dernière est répétée), sinon un écho de la question.
+ * Les appels reçus sont conservés dans calls.
+ */
+class MockLlmProvider {
+    constructor({ responses = [] } = {}) {
+        this.name = 'mock';
+        this.model = 'mock';
+        this.responses = [...responses];
+        this.calls = [];
+    }
+
+    enqueue(...responses) {
+        this.responses.push(...responses);
+        return this;
+    }
+
+    async chat(params) {
+        params.signal?.throwIfAborted();
+        this.calls.push(params);
+        if (this.responses.length) {
+            const next = this.responses.length > 1 ? this.responses.shift() : this.responses[0];
+            if (next instanceof Error) throw next;
+            return typeof next === 'string' ? next : JSON.stringify(next);
+        }
+        const last = [...(params.messages || [])].reverse().find(m => m.role === 'user');
+        return `[mock] ${last ? last.content : ''}`.trim();
+    }
+}
+
+/**
+ * Instancie le fournisseur LLM selon la configuration :
+ * - LLM_PROVIDER = "openai" (défaut) | "openai-compatible" | "gemini" | "mock"
+ * - LLM_MODEL, LLM_BASE_URL, LLM_API_KEY (défaut OPENAI_API_KEY), LLM_JSON_MODE (openai-compatible)
+ * - GEMINI_API_KEY, GEMINI_MODEL, GEMINI_BASE_URL (gemini)
+ * - LLM_MOCK_RESPONSES : tableau JSON de réponses programmées (mock)
+ * @param {object} [env]
+ * @param {string} [name] - Fournisseur à instancier (défaut LLM_PROVIDER)
+ */
+function createLlmProvider(env = process.env, name = env.LLM_PROVIDER) {
+    const provider = (name || 'openai').toLowerCase();
+
+    switch (provider) {
+        case 'openai':
+            return new OpenAILlmProvider({
+                name: 'openai',
+                apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+                baseURL: env.LLM_BASE_URL || undefined,
+                model: env.LLM_MODEL || 'gpt-4o-mini',
+            });
+        case 'openai-compatible':
+            if (!env.LLM_BASE_URL) throw new Error("[LLM] LLM_BASE_URL requis pour le fournisseur openai-compatible");
+            return new OpenAILlmProvider({
+                name: 'openai-compatible',
+                apiKey: env.LLM_API_KEY,
+                baseURL: env.LLM_BASE_URL,
+                model: env.LLM_MODEL || 'llama3.1',
+                jsonMode: env.LLM_JSON_MODE !== 'false',
+            });
+        case 'gemini':
+            return new GeminiLlmProvider({
+                apiKey: env.GEMINI_API_KEY,
+                model: env.GEMINI_MODEL || 'gemini-2.5-flash',
+                baseURL: env.GEMINI_BASE_URL || GEMINI_BASE_URL,
+            });
+        case 'mock':
+            return new MockLlmProvider({ responses: env.LLM_MOCK_RESPONSES ? JSON.parse(env.LLM_MOCK_RESPONSES) : [] });
+        default:
+            throw new Error(`[LLM] Fournisseur inconnu: ${provider}`);
+    }
+}
+
+module.exports = {
+    createLlmProvider,
+    OpenAILlmProvider,
+    GeminiLlmProvider,
+    MockLlmProvider,
+};
@@ -0,0 +1,95 @@
+const { createLlmProvider } = require('./llmProviders');
+const validationService = require('./validationService');
+
+const JSON_MAX_ATTEMPTS = 3;
+
+/**
+ * Point d'entrée unique des appels LLM (réponses du conseil, résumés, reranking, génération de profils).
+ * Le fournisseur est choisi par LLM_PROVIDER (cf. llmProviders) ; une tâche peut en désigner un autre.
+ */
+class LlmService {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Fournisseur par nom (défaut LLM_PROVIDER), instancié au premier usage.
+     * @param {string} [name]
+     */
+    provider(name) {
+        const key = (name || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+        if (!this.providers.has(key)) this.providers.set(key, createLlmProvider(process.env, key));
+        return this.providers.get(key);
+    }
+
+    /**
+     * Remplace un fournisseur (tests : MockLlmProvider).
+     */
+    setProvider(name, provider) {
+        this.providers.set(name.toLowerCase(), provider);
+        return provider;
+    }
+
+    /**
+     * Génère une réponse texte
+     * @param {object} params
+     * @param {string} params.system - Prompt système
+     * @param {Array<{role: string, content: string}>} params.messages - Tours de conversation
+     * @param {string} [params.model] - Modèle (défaut : celui du fournisseur)
+     * @param {number} [params.temperature]
+     * @param {number} [params.maxTokens]
+     * @param {string} [params.provider] - Fournisseur (défaut LLM_PROVIDER)
+     * @param {AbortSignal} [params.signal] - Interrompt l'appel en cours
+     */
+    async chat({ system, messages = [], model, temperature = 0.3, maxTokens, provider, signal }) {
+        return this.provider(provider).chat({ system, messages, model, temperature, maxTokens, signal });
+    }
+
+    /**
+     * Génère un objet JSON conforme à un schéma de schemas.js.
+     * Une réponse illisible ou non conforme est renvoyée au modèle avec les erreurs, jusqu'à maxAttempts essais.
+     * @param {object} params - Mêmes paramètres que chat(), plus :
+     * @param {string} params.schema - Nom du schéma attendu
+     * @param {number} [params.maxAttempts]
+     * @returns {Promise<object>}
+     */
+    async generateJson({ system, messages = [], schema, maxAttempts = JSON_MAX_ATTEMPTS, model, temperature = 0.3, maxTokens, provider, signal }) {
+        const conversation = [...messages];
+        let details = [];
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const text = await this.provider(provider).chat({ system, messages: conversation, model, temperature, maxTokens, json: true, signal });
+            const data = extractJson(text);
+            details = data === undefined
+                ? [{ path: '', message: "n'est pas un JSON lisible" }]
+                : validationService.check(schema, data);
+            if (!details.length) return data;
+
+            console.warn(`[LLM] Réponse JSON invalide (essai ${attempt}/${maxAttempts}) : ${details.map(d => `${d.path || 'racine'} ${d.message}`).join(' ; ')}`);
+            conversation.push(
+                { role: 'assistant', content: text },
+                { role: 'user', content: `Réponse invalide : ${details.map(d => `${d.path || 'racine'} ${d.message}`).join(' ; ')}. Réponds uniquement par le JSON corrigé, sans texte autour.` }
+            );
+        }
+        throw Object.assign(validationService.error(details, `Réponse du modèle invalide après ${maxAttempts} essais`), { status: 502 });
+    }
+}
+
+/**
+ * Objet JSON contenu dans une réponse : brute, dans un bloc ```json, ou entourée de texte.
+ * @returns {*} undefined si aucun JSON n'est lisible
+ */
+function extractJson(text) {
+    const candidates = [text.trim()];
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) candidates.push(fenced[1].trim());
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start > -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+    for (const candidate of candidates) {
+        try { return JSON.parse(candidate); } catch (e) { /* candidat suivant */ }
+    }
+    return undefined;
+}
+
+module.exports = new LlmService();
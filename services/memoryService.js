@@ -0,0 +1,112 @@
+const llmService = require('./llmService');
+
+// Budgets (caractères) de la mémoire de conversation envoyée à l'orchestrateur
+const MEMORY_MAX_CHARS = Number(process.env.MEMORY_MAX_CHARS || 6000);
+const MEMORY_MAX_TURNS = Number(process.env.MEMORY_MAX_TURNS || 12);
+const SUMMARY_MAX_CHARS = Number(process.env.MEMORY_SUMMARY_MAX_CHARS || 2000);
+const FALLBACK_TURN_CHARS = 240;
+
+const SUMMARY_INSTRUCTIONS = [
+    "Tu tiens le procès-verbal d'un conseil des ministres.",
+    "Mets à jour le résumé de la séance avec les nouveaux échanges : questions posées, positions des ministères, décisions et chiffres clés.",
+    `Réponds uniquement par le résumé, en français, en moins de ${SUMMARY_MAX_CHARS} caractères.`
+].join('\n');
+
+/**
+ * Mémoire de conversation d'un salon :
+ * une fenêtre des derniers tours + un résumé persistant des tours plus anciens.
+ * Le résumé est stocké sur le salon (`room.memory`) et n'est étendu qu'avec les tours sortis de la fenêtre.
+ */
+class MemoryService {
+
+    /**
+     * Aplatit un message stocké en tour texte (les réponses du conseil sont des objets)
+     */
+    toTurn(msg) {
+        if (msg.role === 'user') return { role: 'user', content: String(msg.content || ''), timestamp: msg.timestamp };
+
+        const data = msg.content || {};
+        let content;
+        if (typeof data === 'string') content = data;
+        else if (data.global_synthesis) content = `Synthèse du conseil : ${data.global_synthesis}`;
+        else content = (data.responses || []).map(r => `${r.ministry_name} : ${r.text}`).join('\n\n');
+        return { role: 'assistant', content, timestamp: msg.timestamp };
+    }
+
+    /**
+     * Construit le contexte conversationnel des messages précédant la question courante.
+     * @param {Array<object>} previousMessages - room.messages sans la question en cours
+     * @param {object} [memory] - room.memory persisté ({ summary, summarizedCount })
+     * @param {{llm?: boolean}} [options] - llm: false résume de façon extractive, sans appel au LLM
+     * @returns {Promise<{summary: string, history: Array<object>, memory: object, updated: boolean}>}
+     */
+    async build(previousMessages = [], memory = {}, { llm = true } = {}) {
+        let summary = memory.summary || '';
+        let summarizedCount = Math.min(memory.summarizedCount || 0, previousMessages.length);
+
+        // Fenêtre récente : on remonte depuis la fin dans la limite des budgets
+        let windowStart = previousMessages.length, used = 0;
+        while (windowStart > summarizedCount && previousMessages.length - windowStart < MEMORY_MAX_TURNS) {
+            const turn = this.toTurn(previousMessages[windowStart - 1]);
+            if (used + turn.content.length > MEMORY_MAX_CHARS) break;
+            used += turn.content.length;
+            windowStart--;
+        }
+
+        // Les tours sortis de la fenêtre et pas encore résumés rejoignent le résumé
+        const toFold = previousMessages.slice(summarizedCount, windowStart).map(m => this.toTurn(m));
+        const updated = toFold.length > 0;
+        if (updated) {
+            summary = llm ? await this.summarize(summary, toFold) : this.extract(summary, toFold);
+            summarizedCount = windowStart;
+        }
+
+        return {
+            summary,
+            history: previousMessages.slice(windowStart).map(m => this.toTurn(m)),
+            memory: updated ? { summary, summarizedCount, updatedAt: new Date().toISOString() } : memory,
+            updated
+        };
+    }
+
+    /**
+     * Résumé à conserver quand deux questions ont étendu la mémoire en parallèle :
+     * celui qui couvre le plus de tours, chacun reprenant le résumé précédent.
+     * @param {object} [current] - room.memory au moment de l'enregistrement
+     * @param {object} candidate - memory renvoyé par build()
+     */
+    merge(current = {}, candidate) {
+        return (current?.summarizedCount || 0) >= candidate.summarizedCount ? current : candidate;
+    }
+
+    /**
+     * Étend le résumé avec de nouveaux tours (LLM, ou résumé extractif si aucun LLM n'est disponible)
+     */
+    async summarize(previousSummary, turns) {
+        const transcript = turns.map(t => `${t.role === 'user' ? 'Question' : 'Conseil'} : ${t.content}`).join('\n\n');
+        try {
+            const summary = await llmService.chat({
+                system: SUMMARY_INSTRUCTIONS,
+                messages: [{ role: 'user', content: `Résumé actuel :\n${previousSummary || '(vide)'}\n\nNouveaux échanges :\n${transcript}` }],
+                temperature: 0
+            });
+            if (summary) return summary.slice(0, SUMMARY_MAX_CHARS);
+        } catch (e) {
+            console.warn('[Memory] Résumé LLM indisponible, repli extractif:', e.message);
+        }
+        return this.extract(previousSummary, turns);
+    }
+
+    /**
+     * Résumé extractif : début de chaque tour, à la suite du résumé précédent
+     */
+    extract(previousSummary, turns) {
+        const extract = turns
+            .map(t => `${t.role === 'user' ? 'Q' : 'R'}: ${t.content.replace(/\s+/g, ' ').slice(0, FALLBACK_TURN_CHARS)}`)
+            .join('\n');
+        // On garde la fin : les échanges les plus récents sont les plus utiles
+        return `${previousSummary ? previousSummary + '\n' : ''}${extract}`.slice(-SUMMARY_MAX_CHARS);
+    }
+}
+
+module.exports = new MemoryService();
@@ -0,0 +1,53 @@
+/**
+ * Détection des @mentions de ministères dans une question.
+ * L'interface insère des tags "@<Ministère>" (createMentionTag) qui arrivent en texte brut.
+ */
+
+// Minuscules sans accents, pour comparer "@finances" et "@Finances" ou "@Sante" et "@Santé"
+function fold(str) {
+    return String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+const MentionService = {
+
+    /**
+     * Retourne les personas mentionnés dans le texte, dans l'ordre d'apparition.
+     * Un persona est reconnu par son ministère, son nom ou son id ; les libellés
+     * les plus longs sont testés en premier ("@Finances Publiques" avant "@Finances").
+     * @param {string} text - Message de l'utilisateur
+     * @param {Array<object>} personas - Personas candidats (ceux du salon)
+     * @returns {Array<{id: string, ministry: string, position: number}>}
+     */
+    parse(text, personas = []) {
+        // fold() conserve la longueur pour les lettres latines usuelles : les positions restent valides
+        let haystack = fold(text);
+        if (!haystack.includes('@')) return [];
+
+        const labels = [];
+        personas.forEach(p => {
+            [p.ministry, p.name, p.id].filter(Boolean).forEach(label => labels.push({ persona: p, label: fold(label).trim() }));
+        });
+        labels.sort((a, b) => b.label.length - a.label.length);
+
+        const found = new Map();
+        for (const { persona, label } of labels) {
+            if (!label) continue;
+            const needle = `@${label}`;
+            let from = 0, position;
+            while ((position = haystack.indexOf(needle, from)) !== -1) {
+                const next = haystack.charAt(position + needle.length);
+                // Fin de mention : fin de texte, espace (y compris insécable) ou ponctuation
+                if (!next || !/[\p{L}\p{N}_-]/u.test(next)) {
+                    if (!found.has(persona.id)) found.set(persona.id, { id: persona.id, ministry: persona.ministry, position });
+                    // Masque le segment pour qu'un libellé plus court ne le reconsomme pas
+                    haystack = haystack.slice(0, position) + ' '.repeat(needle.length) + haystack.slice(position + needle.length);
+                }
+                from = position + needle.length;
+            }
+        }
+
+        return [...found.values()].sort((a, b) => a.position - b.position);
+    }
+};
+
+module.exports = MentionService;
@@ -0,0 +1,236 @@
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+
+const FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+// Les polices standard PDF (WinAnsi) n'ont ni emojis ni symboles hors Latin-1
+const PDF_EXTRA_CHARS = '–—‘’‚“”„•…€œŒŠšŽžŸ';
+
+/**
+ * Comptes rendus de séance (PDF / DOCX) : titre et date, ministères participants,
+ * questions-réponses dans l'ordre, synthèse et bibliographie des sources citées.
+ */
+class MinutesService {
+
+    get formats() { return Object.keys(FORMATS); }
+
+    /**
+     * Génère le compte rendu d'un salon.
+     * @param {object} room - Salon (messages, activePersonas)
+     * @param {Array<object>} personas - Personas connus (libellés des ministères)
+     * @param {string} format - "pdf" | "docx"
+     * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+     */
+    async render(room, personas, format) {
+        const target = FORMATS[format];
+        if (!target) throw Object.assign(new Error(`Format d'export inconnu (${this.formats.join(', ')})`), { status: 400 });
+        const minutes = this.build(room, personas);
+        const buffer = format === 'pdf' ? await this.toPdf(minutes) : await this.toDocx(minutes);
+        return { buffer, ...target };
+    }
+
+    /**
+     * Modèle neutre du compte rendu, commun aux deux formats.
+     * Les sources sont numérotées dans l'ordre de première citation ([1], [2]...).
+     */
+    build(room, personas = []) {
+        const bibliography = [];
+        const sourceKeys = new Map();
+        const cite = (sources = []) => [...new Set(sources.map(s => {
+            const key = [s.filename, s.section || '', s.page ?? ''].join('|');
+            if (!sourceKeys.has(key)) {
+                sourceKeys.set(key, bibliography.length + 1);
+                bibliography.push({ n: bibliography.length + 1, filename: s.filename || 'Document', section: s.section || null, page: s.page ?? null, origin: s.origin || null });
+            }
+            return sourceKeys.get(key);
+        }))];
+
+        const items = [];
+        const answering = new Set();
+        (room.messages || []).forEach(msg => {
+            if (msg.role === 'user') {
+                items.push({ question: String(msg.content || ''), author: msg.author?.name || null, askedAt: msg.timestamp || null, responses: [], synthesis: null });
+                return;
+            }
+            // Réponse sans question (historique partiel) : rattachée à un point sans intitulé
+            if (!items.length) items.push({ question: null, author: null, askedAt: null, responses: [], synthesis: null });
+            const item = items[items.length - 1];
+            const content = msg.content?.data ?? msg.content ?? {};
+            if (typeof content === 'string') {
+                item.responses.push({ ministry: 'Réponse', text: content, citations: [] });
+                return;
+            }
+            (content.responses || []).forEach(r => {
+                answering.add(r.ministry_name);
+                item.responses.push({ ministry: r.ministry_name || 'Ministère', text: String(r.text || ''), citations: cite(r.rag_sources), retrievalError: !!r.retrieval_error });
+            });
+            if (content.global_synthesis) item.synthesis = String(content.global_synthesis);
+        });
+
+        const convened = personas.filter(p => (room.activePersonas || []).includes(p.id)).map(p => p.ministry);
+        return {
+            title: room.name,
+            date: new Date(),
+            sessionStart: room.createdAt || null,
+            ministries: [...new Set([...convened, ...answering])].filter(Boolean),
+            items,
+            bibliography
+        };
+    }
+
+    // --- PDF (pdfkit) ---
+
+    toPdf(minutes) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: pdfSafe(minutes.title), Creator: 'GouvBrain' } });
+            const chunks = [];
+            doc.on('data', c => chunks.push(c));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const text = (str, options = {}) => doc.text(pdfSafe(str), options);
+            const heading = (str, size) => { doc.moveDown(0.8).font('Helvetica-Bold').fontSize(size); text(str); doc.font('Helvetica').fontSize(10.5).moveDown(0.3); };
+            const blocks = (markdown) => markdownBlocks(markdown).forEach(b => {
+                if (b.type === 'heading') { doc.font('Helvetica-Bold'); text(b.text); doc.font('Helvetica'); }
+                else if (b.type === 'bullet') text(`•  ${b.text}`, { indent: 12 });
+                else text(b.text, { align: 'justify' });
+                doc.moveDown(0.3);
+            });
+
+            doc.font('Helvetica-Bold').fontSize(18);
+            text('Compte rendu de séance', { align: 'center' });
+            doc.fontSize(14).moveDown(0.3);
+            text(minutes.title, { align: 'center' });
+            doc.font('Helvetica').fontSize(10).fillColor('#555').moveDown(0.5);
+            text(datesLine(minutes), { align: 'center' });
+            doc.fillColor('black');
+
+            heading('Ministères participants', 13);
+            if (minutes.ministries.length) minutes.ministries.forEach(m => text(`•  ${m}`, { indent: 12 }));
+            else text('Aucun ministère consulté.');
+
+            heading('Déroulé de la séance', 13);
+            minutes.items.forEach((item, i) => {
+                heading(`${i + 1}. ${item.question ? 'Question' : 'Échange'}${item.author ? ` de ${item.author}` : ''}`, 11.5);
+                if (item.question) { doc.font('Helvetica-Oblique'); text(item.question); doc.font('Helvetica').moveDown(0.4); }
+                item.responses.forEach(r => {
+                    doc.font('Helvetica-Bold'); text(`${r.ministry}${citationsLabel(r)}`); doc.font('Helvetica').moveDown(0.2);
+                    blocks(r.text);
+                });
+                if (item.synthesis) {
+                    doc.font('Helvetica-Bold'); text('Synthèse gouvernementale'); doc.font('Helvetica').moveDown(0.2);
+                    blocks(item.synthesis);
+                }
+            });
+            if (!minutes.items.length) text('Aucun échange enregistré.');
+
+            heading('Sources citées', 13);
+            if (minutes.bibliography.length) minutes.bibliography.forEach(s => text(`[${s.n}] ${sourceLabel(s)}`));
+            else text('Aucune source documentaire citée.');
+
+            doc.end();
+        });
+    }
+
+    // --- DOCX (docx) ---
+
+    toDocx(minutes) {
+        const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType } = docx;
+        const children = [];
+        const para = (text, options = {}) => children.push(new Paragraph({ ...options, children: [new TextRun({ text, ...(options.run || {}) })] }));
+        const heading = (text, level) => children.push(new Paragraph({ text, heading: level }));
+        const blocks = (markdown) => markdownBlocks(markdown).forEach(b => {
+            if (b.type === 'heading') para(b.text, { run: { bold: true } });
+            else if (b.type === 'bullet') para(b.text, { bullet: { level: 0 } });
+            else para(b.text, { alignment: AlignmentType.JUSTIFIED });
+        });
+
+        children.push(new Paragraph({ text: 'Compte rendu de séance', heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER }));
+        para(minutes.title, { alignment: AlignmentType.CENTER, run: { bold: true, size: 28 } });
+        para(datesLine(minutes), { alignment: AlignmentType.CENTER, run: { color: '555555', size: 20 } });
+
+        heading('Ministères participants', HeadingLevel.HEADING_1);
+        if (minutes.ministries.length) minutes.ministries.forEach(m => para(m, { bullet: { level: 0 } }));
+        else para('Aucun ministère consulté.');
+
+        heading('Déroulé de la séance', HeadingLevel.HEADING_1);
+        minutes.items.forEach((item, i) => {
+            heading(`${i + 1}. ${item.question ? 'Question' : 'Échange'}${item.author ? ` de ${item.author}` : ''}`, HeadingLevel.HEADING_2);
+            if (item.question) para(item.question, { run: { italics: true } });
+            item.responses.forEach(r => {
+                para(`${r.ministry}${citationsLabel(r)}`, { run: { bold: true } });
+                blocks(r.text);
+            });
+            if (item.synthesis) {
+                para('Synthèse gouvernementale', { run: { bold: true } });
+                blocks(item.synthesis);
+            }
+        });
+        if (!minutes.items.length) para('Aucun échange enregistré.');
+
+        heading('Sources citées', HeadingLevel.HEADING_1);
+        if (minutes.bibliography.length) minutes.bibliography.forEach(s => para(`[${s.n}] ${sourceLabel(s)}`));
+        else para('Aucune source documentaire citée.');
+
+        const document = new Document({ creator: 'GouvBrain', title: minutes.title, sections: [{ children }] });
+        return Packer.toBuffer(document);
+    }
+}
+
+/**
+ * Découpe le Markdown des réponses en blocs (titre, puce, paragraphe) sans mise en forme en ligne.
+ */
+function markdownBlocks(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    const flush = () => { if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') }); paragraph = []; };
+
+    String(markdown || '').split(/\r?\n/).forEach(raw => {
+        const line = raw.trim();
+        let m;
+        if (!line || /^(-{3,}|\*{3,}|```.*)$/.test(line)) return flush();
+        if ((m = line.match(/^#{1,6}\s+(.*)$/))) { flush(); blocks.push({ type: 'heading', text: inlineText(m[1]) }); }
+        else if ((m = line.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/))) { flush(); blocks.push({ type: 'bullet', text: inlineText(m[1]) }); }
+        else paragraph.push(inlineText(line.replace(/^>\s?/, '')));
+    });
+    flush();
+    return blocks;
+}
+
+function inlineText(str) {
+    return str
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')
+        .replace(/`([^`]*)`/g, '$1');
+}
+
+function pdfSafe(str) {
+    return Array.from(String(str ?? ''))
+        .filter(ch => ch.codePointAt(0) <= 0xff || PDF_EXTRA_CHARS.includes(ch))
+        .join('')
+        .replace(/ {2,}/g, ' ');
+}
+
+function datesLine(minutes) {
+    const fmt = (d) => new Date(d).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+    const opened = minutes.sessionStart ? `Séance ouverte le ${fmt(minutes.sessionStart)} — ` : '';
+    return `${opened}Compte rendu établi le ${fmt(minutes.date)}`;
+}
+
+// Références de la réponse, ou mention d'une recherche documentaire en échec
+function citationsLabel({ citations, retrievalError }) {
+    if (retrievalError) return ' (recherche documentaire indisponible, réponse sans sources)';
+    return citations.length ? ` ${citations.map(n => `[${n}]`).join('')}` : '';
+}
+
+function sourceLabel(source) {
+    const location = source.section ? `, ${source.section}` : (source.page != null ? `, page ${source.page}` : '');
+    const origin = source.origin === 'room' ? ' (document de séance)' : '';
+    return `${source.filename}${location}${origin}`;
+}
+
+module.exports = new MinutesService();
@@ -0,0 +1,167 @@
+const qdrantService = require('./qdrantService');
+const llmService = require('./llmService');
+const PersonaSettings = require('./personaSettings');
+
+const CHAIR_ROLE = 'Chair';
+const RAG_LIMIT = 5;
+const EXCERPT_LENGTH = 300;
+
+const ANSWER_INSTRUCTIONS = [
+    "Réponds en français, au nom de ton ministère, de façon précise et argumentée.",
+    "Appuie-toi en priorité sur les extraits documentaires fournis et cite-les sous la forme [n].",
+    "Si les extraits ne couvrent pas la question, dis-le explicitement plutôt que d'inventer."
+].join('\n');
+
+const SYNTHESIS_INSTRUCTIONS = [
+    "Tu présides le conseil. Rédige la synthèse gouvernementale des positions ci-dessous :",
+    "points de convergence, divergences ou arbitrages nécessaires, puis une recommandation.",
+    "Reste factuel et ne rapporte que ce que les ministères ont exprimé."
+].join('\n');
+
+/**
+ * Orchestrateur natif du conseil (remplace N8N_CHAT_WEBHOOK) :
+ * RAG par persona -> réponse LLM de chaque ministère -> synthèse du Chair.
+ * Produit le format { responses: [...], global_synthesis } rendu par l'interface.
+ */
+class ChatOrchestrator {
+
+    /**
+     * @param {object} params
+     * @param {string} params.question - Question de l'utilisateur
+     * @param {string} params.roomId - Salon courant
+     * @param {Array<object>} params.experts - Personas actifs du salon
+     * @param {object} [params.chair] - Persona qui produit la synthèse (role "Chair")
+     * @param {{summary: string, history: Array<object>}} [params.conversation] - Mémoire de la séance
+     * @param {object} [params.retrieval] - Réglages de la recherche documentaire (cf. retrievalOptions)
+     * @param {string} [params.model] - Modèle demandé pour la séance (le modèle du persona prime)
+     * @param {AbortSignal} [params.signal] - Annulation de la tâche (appels LLM interrompus, synthèse abandonnée)
+     * @param {function(string, object)} [params.onEvent] - Progression (retrieval_started, expert_response, synthesis_started, synthesis_done)
+     */
+    async run({ question, roomId, experts = [], chair = null, conversation = {}, retrieval = {}, model, signal, onEvent = () => {} }) {
+        // Le Chair arbitre : il ne répond en tant qu'expert que s'il est seul
+        let responders = experts.filter(p => p.role !== CHAIR_ROLE);
+        if (responders.length === 0) responders = experts;
+
+        console.log(`[Orchestrator] Salon ${roomId}: consultation de ${responders.length} ministère(s)...`);
+        onEvent('retrieval_started', { experts: responders.map(p => ({ id: p.id, ministry_name: p.ministry })) });
+
+        // Chaque réponse est signalée dès qu'elle est prête, l'ordre final reste celui du salon
+        const responses = await Promise.all(responders.map(async p => {
+            const response = await this.consultExpert(p, question, conversation, roomId, PersonaSettings.resolve(p, { retrieval, model }), signal);
+            onEvent('expert_response', { response, total: responders.length });
+            return response;
+        }));
+
+        // Une question adressée à un seul ministère n'appelle pas d'arbitrage
+        signal?.throwIfAborted();
+        let global_synthesis = null;
+        if (responses.length > 1) {
+            onEvent('synthesis_started', {});
+            global_synthesis = await this.synthesize(question, responses, chair, conversation, PersonaSettings.resolve(chair, { model }), signal);
+            onEvent('synthesis_done', { global_synthesis });
+        }
+
+        return { responses, global_synthesis };
+    }
+
+    /**
+     * Recherche les extraits du persona (et les documents du salon) puis génère sa réponse.
+     * Une erreur n'interrompt pas le conseil : elle est rapportée dans la réponse.
+     * @param {object} [settings] - Réglages effectifs du ministre (cf. personaSettings)
+     */
+    async consultExpert(persona, question, conversation = {}, roomId = null, settings = PersonaSettings.resolve(persona), signal) {
+        const base = { persona_id: persona.id, ministry_name: persona.ministry, avatar_emoji: persona.avatarEmoji };
+
+        let hits = [];
+        let retrievalError = null;
+        try {
+            const { topK = RAG_LIMIT, ...searchOptions } = settings.retrieval;
+            const personaScope = settings.sharedDocuments ? persona.id : null;
+            const roomScope = settings.roomDocuments ? roomId : null;
+            // Sans périmètre, la recherche porterait sur toute la collection
+            if (personaScope || roomScope) hits = await qdrantService.search(question, personaScope, topK, { ...searchOptions, roomId: roomScope });
+        } catch (e) {
+            console.warn(`[Orchestrator] RAG indisponible pour ${persona.id}:`, e.message);
+            // Signalé dans la réponse : une réponse sans documents ne doit pas passer pour une réponse sourcée
+            retrievalError = e.message;
+        }
+        const retrieval = retrievalError ? { retrieval_error: retrievalError } : {};
+
+        try {
+            const context = hits.length
+                ? hits.map((h, i) => `[${i + 1}] (${h.metadata.source}${h.metadata.page ? `, p. ${h.metadata.page}` : ''}${h.metadata.section ? `, ${h.metadata.section}` : ''})\n${h.text}`).join('\n\n')
+                : (retrievalError ? "Recherche documentaire indisponible : réponds sans extrait et signale-le." : "Aucun extrait documentaire pertinent.");
+
+            const text = await llmService.chat({
+                system: `${persona.systemPrompt || ''}\n\n${ANSWER_INSTRUCTIONS}`.trim(),
+                messages: [
+                    ...historyMessages(conversation),
+                    { role: 'user', content: `${summaryBlock(conversation)}Extraits documentaires :\n${context}\n\nQuestion : ${question}` }
+                ],
+                ...generationOptions(settings),
+                signal
+            });
+
+            return { ...base, text, rag_sources: hits.map(toRagSource), ...retrieval };
+        } catch (e) {
+            console.error(`[Orchestrator] Échec de la réponse ${persona.id}:`, e.message);
+            return { ...base, text: `_Réponse indisponible : ${e.message}_`, rag_sources: hits.map(toRagSource), error: true, ...retrieval };
+        }
+    }
+
+    /**
+     * Synthèse globale par le Chair (ou un arbitre neutre à défaut).
+     */
+    async synthesize(question, responses, chair, conversation = {}, settings = PersonaSettings.resolve(chair), signal) {
+        const positions = responses
+            .filter(r => !r.error)
+            .map(r => `### ${r.ministry_name}\n${r.text}`)
+            .join('\n\n');
+        if (!positions) return null;
+
+        try {
+            return await llmService.chat({
+                system: `${chair?.systemPrompt || ''}\n\n${SYNTHESIS_INSTRUCTIONS}`.trim(),
+                messages: [{ role: 'user', content: `${summaryBlock(conversation)}Question posée au conseil : ${question}\n\nPositions des ministères :\n\n${positions}` }],
+                ...generationOptions(settings),
+                signal
+            });
+        } catch (e) {
+            console.error('[Orchestrator] Échec de la synthèse:', e.message);
+            return `_Synthèse indisponible : ${e.message}_`;
+        }
+    }
+}
+
+// Tours précédents de la séance, au format messages du LLM
+function historyMessages(conversation) {
+    return (conversation.history || []).map(t => ({ role: t.role, content: t.content }));
+}
+
+// Paramètres de génération du ministre (les absents gardent les valeurs par défaut de llmService)
+function generationOptions({ model, temperature, maxTokens }) {
+    return {
+        ...(model ? { model } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { maxTokens } : {})
+    };
+}
+
+// Résumé des échanges plus anciens, en préambule de la question
+function summaryBlock(conversation) {
+    return conversation.summary ? `Résumé de la séance jusqu'ici :\n${conversation.summary}\n\n` : '';
+}
+
+// Format attendu par buildRagPanel (filename, page, score)
+function toRagSource(hit) {
+    return {
+        filename: hit.metadata.source,
+        page: hit.metadata.page,
+        section: hit.metadata.section,
+        score: hit.score,
+        origin: hit.metadata.room_id ? 'room' : 'persona',
+        excerpt: (hit.text || '').slice(0, EXCERPT_LENGTH)
+    };
+}
+
+module.exports = new ChatOrchestrator();
@@ -0,0 +1,34 @@
+/**
+ * Réglages effectifs d'un ministre pour une question :
+ * - modèle, température, longueur : ceux du persona (settings), puis le modèle choisi pour la séance, puis le serveur ;
+ * - recherche (topK, scoreThreshold) : ceux envoyés avec la question, puis ceux du persona, puis le serveur.
+ * Servent aussi bien l'orchestrateur natif que le workflow n8n (available_experts[].settings).
+ */
+
+const RetrievalOptions = require('./retrievalOptions');
+
+const DEFAULTS = { sharedDocuments: true, roomDocuments: true };
+
+const PersonaSettings = {
+
+    DEFAULTS,
+
+    /**
+     * @param {object} persona
+     * @param {object} [session]
+     * @param {object} [session.retrieval] - Réglages demandés, normalisés par RetrievalOptions.parse sans valeurs par défaut
+     * @param {string} [session.model] - Modèle demandé avec la question
+     * @returns {{model?: string, temperature?: number, maxTokens?: number, sharedDocuments: boolean, roomDocuments: boolean, retrieval: object}}
+     */
+    resolve(persona, { retrieval = {}, model } = {}) {
+        const { topK, scoreThreshold, ...own } = { ...DEFAULTS, ...(persona?.settings || {}) };
+        const settings = { ...own, retrieval: { ...RetrievalOptions.DEFAULTS } };
+        if (!settings.model && model) settings.model = model;
+        if (topK !== undefined) settings.retrieval.topK = topK;
+        if (scoreThreshold !== undefined) settings.retrieval.scoreThreshold = scoreThreshold;
+        Object.assign(settings.retrieval, retrieval);
+        return settings;
+    }
+};
+
+module.exports = PersonaSettings;
@@ -1,11 +1,79 @@
 const { QdrantClient } = require('@qdrant/js-client-rest');
-const OpenAI = require('openai');
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
 const crypto = require('crypto');
+const { createEmbeddingProvider } = require('./embeddingService');
+const { createRerankProvider } = require('./rerankService');
 
 // Configuration
-const VECTOR_SIZE = 1536; // Standard OpenAI (text-embedding-3-small)
-const COLLECTION_NAME = 'gouvbrain_knowledge';
+// La dimension des vecteurs suit le fournisseur d'embeddings (EMBEDDING_PROVIDER)
+const COLLECTION_NAME = process.env.QDRANT_COLLECTION || 'gouvbrain_knowledge';
+const UPSERT_BATCH = 256;
+
+// Recherche hybride : poids du score vectoriel dans la fusion (le reste va au score BM25)
+const HYBRID_ALPHA = Math.min(Math.max(Number(process.env.RAG_HYBRID_ALPHA ?? 0.7), 0), 1);
+const CANDIDATE_FACTOR = 4; // Candidats examinés par extrait demandé (fusion et reranking)
+const LEXICAL_SCAN = 500;   // Chunks contenant un terme de la requête évalués en BM25
+const CHUNK_PREVIEW_LENGTH = 300;
+// Champs du payload présentés à part dans l'explorateur (le reste forme les métadonnées)
+const CHUNK_FIELDS = ['content', 'persona_id', 'room_id', 'source_file', 'chunk_index', 'chunk_hash', 'page_number', 'section_title', 'char_start', 'char_end'];
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const STOPWORDS = new Set(['au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est', 'et', 'il', 'la', 'le', 'les', 'leur', 'mais', 'ne', 'ou', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son', 'sur', 'un', 'une', 'the', 'of', 'and', 'to', 'in']);
+
+/**
+ * Empreinte d'un chunk : son texte et sa localisation logique (page, section).
+ * Les positions char_start/char_end en sont exclues : une modification en amont
+ * dans la page ne doit pas invalider les chunks inchangés.
+ */
+function chunkHash(chunk) {
+    const { page_number = null, heading_path = null } = chunk.metadata;
+    return crypto.createHash('sha256').update(JSON.stringify([chunk.text, page_number, heading_path])).digest('hex');
+}
+
+/**
+ * Id de point Qdrant déterministe (UUID dérivé d'un sha256).
+ */
+function pointId(key) {
+    const h = crypto.createHash('sha256').update(key).digest('hex');
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+/**
+ * Termes d'un texte pour le BM25 : minuscules, sans mots vides.
+ * Les accents sont conservés, comme dans l'index plein texte de Qdrant (tokenizer "word").
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Présentation d'un point pour l'explorateur : position, aperçu du texte et métadonnées restantes.
+ */
+function toChunk(point) {
+    const payload = point.payload || {};
+    const metadata = Object.fromEntries(Object.entries(payload).filter(([key]) => !CHUNK_FIELDS.includes(key)));
+    const content = payload.content || '';
+    return {
+        id: String(point.id),
+        source_file: payload.source_file,
+        chunk_index: payload.chunk_index,
+        page: payload.page_number ?? null,
+        section: payload.section_title ?? null,
+        char_start: payload.char_start ?? null,
+        char_end: payload.char_end ?? null,
+        length: content.length,
+        preview: content.length > CHUNK_PREVIEW_LENGTH ? `${content.slice(0, CHUNK_PREVIEW_LENGTH)}…` : content,
+        metadata
+    };
+}
+
+function cosine(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
 
 class QdrantService {
     constructor() {
@@ -15,29 +83,46 @@ class QdrantService {
             apiKey: process.env.QDRANT_API_KEY, // Si nécessaire
         });
 
-        // Initialisation OpenAI pour les embeddings
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
+        // Fournisseur d'embeddings (OpenAI, serveur compatible local ou embedder hors-ligne)
+        this.embedder = createEmbeddingProvider();
+        this.vectorSize = null;
+        this.initError = null;
+        this._reranker = undefined;
 
         // Auto-init au démarrage
-        this.initCollection();
+        this.ready = this.initCollection();
     }
 
     /**
      * Initialise la collection si elle n'existe pas
      * Configure la distance Cosine et les index de filtrage
+     * Vérifie qu'une collection existante a la dimension attendue par le fournisseur
+     * Un échec de connexion (Qdrant ou embeddings injoignables) est conservé dans initError et retenté au prochain usage.
      */
     async initCollection() {
+        this.initError = null;
         try {
+            this.vectorSize = await this.embedder.getDimension();
+
             const result = await this.client.getCollections();
             const exists = result.collections.find(c => c.name === COLLECTION_NAME);
 
-            if (!exists) {
-                console.log(`[Qdrant] Création de la collection ${COLLECTION_NAME}...`);
+            if (exists) {
+                const info = await this.client.getCollection(COLLECTION_NAME);
+                const existingSize = info.config?.params?.vectors?.size;
+                if (existingSize && existingSize !== this.vectorSize) {
+                    this.initError = new Error(
+                        `La collection ${COLLECTION_NAME} utilise des vecteurs de dimension ${existingSize}, ` +
+                        `mais le fournisseur "${this.embedder.name}" (${this.embedder.model}) produit ${this.vectorSize}. ` +
+                        `Changez QDRANT_COLLECTION ou réindexez la base.`
+                    );
+                    console.error('[Qdrant]', this.initError.message);
+                }
+            } else {
+                console.log(`[Qdrant] Création de la collection ${COLLECTION_NAME} (dim ${this.vectorSize})...`);
                 await this.client.createCollection(COLLECTION_NAME, {
                     vectors: {
-                        size: VECTOR_SIZE,
+                        size: this.vectorSize,
                         distance: 'Cosine',
                     },
                 });
@@ -53,107 +138,441 @@ class QdrantService {
                 });
                 console.log('[Qdrant] Collection initialisée avec succès.');
             }
+
+            // Index ajoutés après la création initiale (idempotents sur une collection existante)
+            await this.client.createPayloadIndex(COLLECTION_NAME, {
+                field_name: 'room_id',
+                field_schema: 'keyword',
+            });
+            // Recherche lexicale (BM25) et filtres sur les métadonnées saisies à l'ingestion
+            await this.client.createPayloadIndex(COLLECTION_NAME, {
+                field_name: 'content',
+                field_schema: { type: 'text', tokenizer: 'word', lowercase: true },
+            });
+            await this.client.createPayloadIndex(COLLECTION_NAME, {
+                field_name: 'doc_type',
+                field_schema: 'keyword',
+            });
+            await this.client.createPayloadIndex(COLLECTION_NAME, {
+                field_name: 'date',
+                field_schema: 'datetime',
+            });
+            // Pagination des chunks d'un document dans l'explorateur
+            await this.client.createPayloadIndex(COLLECTION_NAME, {
+                field_name: 'chunk_index',
+                field_schema: 'integer',
+            });
         } catch (error) {
             console.error('[Qdrant] Erreur init:', error.message);
+            this.initError = Object.assign(new Error(`[Qdrant] Initialisation impossible : ${error.message}`), { status: 503, retryable: true });
         }
     }
 
+    /**
+     * Attend la fin de l'initialisation et refuse d'opérer sur une collection incompatible.
+     * Après un échec de connexion, l'initialisation est relancée (une seule fois pour les appels concurrents).
+     */
+    async ensureReady() {
+        const attempt = this.ready;
+        await attempt;
+        if (this.initError?.retryable && this.ready === attempt) this.ready = this.initCollection();
+        await this.ready;
+        if (this.initError) throw this.initError;
+    }
+
     /**
      * Génère les vecteurs (embeddings) pour une liste de textes
      */
     async getEmbeddings(texts) {
         // Nettoyage basique
         const cleanTexts = texts.map(t => t.replace(/\n/g, ' '));
-        
-        const response = await this.openai.embeddings.create({
-            model: "text-embedding-3-small",
-            input: cleanTexts,
-            encoding_format: "float",
-        });
-
-        return response.data.map(item => item.embedding);
+        return this.embedder.embed(cleanTexts);
     }
 
     /**
      * Ingestion intelligente de connaissance
-     * @param {string} personaId - ID du ministre
+     * @param {string|null} personaId - ID du ministre (null pour un document de salon, cf. metadata.room_id)
      * @param {string} content - Contenu textuel complet
      * @param {object} metadata - Métadonnées (filename, type, etc.)
      */
     async ingestKnowledge(personaId, content, metadata = {}) {
-        console.log(`[Qdrant] Début ingestion pour ${personaId} (${metadata.filename})`);
+        return this.ingestSegments(personaId, [{ text: content, metadata: {} }], metadata);
+    }
+
+    /**
+     * Ingestion d'un document découpé en segments (ex: pages d'un PDF).
+     * Les chunks ne franchissent jamais la frontière d'un segment et héritent de ses
+     * métadonnées (page_number...), avec leurs positions char_start/char_end dans le segment.
+     *
+     * Ingestion incrémentale : chaque chunk reçoit un chunk_hash (contenu + page/section) et un
+     * id de point déterministe. Lors d'une réindexation du même document, seuls les chunks
+     * nouveaux sont vectorisés, les chunks disparus sont supprimés, les autres conservent leur vecteur.
+     * @param {string|null} personaId - ID du ministre
+     * @param {Array<{text: string, metadata: object}>} segments - Segments ordonnés
+     * @param {object} metadata - Métadonnées communes au document
+     * @returns {Promise<{count: number, added: number, removed: number, unchanged: number, segments: number}>}
+     */
+    async ingestSegments(personaId, segments, metadata = {}) {
+        await this.ensureReady();
+        const sourceFile = metadata.filename || 'unknown';
+        console.log(`[Qdrant] Début ingestion pour ${personaId} (${sourceFile}, ${segments.length} segment(s))`);
 
-        // 1. Chunking Intelligent (LangChain)
-        // Overlap de 200 chars pour garder le contexte entre les segments
+        // 1. Chunking Intelligent (LangChain), segment par segment
+        // Overlap de 200 chars pour garder le contexte entre les chunks d'un même segment
         const splitter = new RecursiveCharacterTextSplitter({
             chunkSize: 1000,
             chunkOverlap: 200, 
         });
 
-        const docs = await splitter.createDocuments([content]);
-        const chunks = docs.map(d => d.pageContent);
+        const chunks = [];
+        for (const segment of segments) {
+            if (!segment.text || !segment.text.trim()) continue;
+            const docs = await splitter.createDocuments([segment.text]);
+            let cursor = 0;
+            for (const doc of docs) {
+                // Le splitter conserve le texte tel quel : on retrouve la position du chunk
+                const start = segment.text.indexOf(doc.pageContent, cursor);
+                if (start !== -1) cursor = start + 1;
+                chunks.push({
+                    text: doc.pageContent,
+                    metadata: {
+                        ...(segment.metadata || {}),
+                        char_start: start === -1 ? null : start,
+                        char_end: start === -1 ? null : start + doc.pageContent.length
+                    }
+                });
+            }
+        }
 
-        if (chunks.length === 0) return { count: 0 };
+        // 2. Empreintes et ids déterministes (un même chunk répété dans le document garde un id distinct)
+        const scope = metadata.room_id ? { key: 'room_id', value: metadata.room_id } : { key: 'persona_id', value: personaId };
+        const occurrences = new Map();
+        chunks.forEach(chunk => {
+            chunk.hash = chunkHash(chunk);
+            const n = occurrences.get(chunk.hash) || 0;
+            occurrences.set(chunk.hash, n + 1);
+            chunk.id = pointId(`${scope.key}:${scope.value}|${sourceFile}|${chunk.hash}|${n}`);
+        });
+
+        // 3. Comparaison avec les points déjà indexés pour ce document
+        const existing = await this.scrollDocumentPoints(scope, sourceFile);
+        const wanted = new Set(chunks.map(c => c.id));
+        const staleIds = [...existing.keys()].filter(id => !wanted.has(id));
+        const toEmbed = chunks.filter(c => !existing.has(c.id));
 
-        // 2. Vectorisation (Batch)
-        // Note: En prod, faire des batches de 100 max pour l'API OpenAI
-        const vectors = await this.getEmbeddings(chunks);
+        // 4. Vectorisation des seuls chunks nouveaux (Batch, découpée par le fournisseur)
+        const newVectors = toEmbed.length ? await this.getEmbeddings(toEmbed.map(c => c.text)) : [];
+        toEmbed.forEach((chunk, i) => { chunk.vector = newVectors[i]; });
 
-        // 3. Construction des points (Payload riche)
+        // 5. Construction des points (Payload riche, rafraîchi pour tous les chunks)
+        const ingestionDate = new Date().toISOString();
         const points = chunks.map((chunk, index) => {
             return {
-                id: crypto.randomUUID(),
-                vector: vectors[index],
+                id: chunk.id,
+                vector: chunk.vector || existing.get(chunk.id).vector,
                 payload: {
-                    content: chunk,
+                    content: chunk.text,
                     persona_id: personaId,
-                    source_file: metadata.filename || 'unknown',
+                    room_id: metadata.room_id || null,
+                    source_file: sourceFile,
                     chunk_index: index,
-                    ingestion_date: new Date().toISOString(),
+                    chunk_hash: chunk.hash,
+                    ingestion_date: existing.has(chunk.id) ? (existing.get(chunk.id).payload.ingestion_date || ingestionDate) : ingestionDate,
                     type: metadata.type || 'text',
-                    ...metadata // Fusionne les métadonnées spécifiques (ex: page number)
+                    ...metadata, // Fusionne les métadonnées spécifiques du document
+                    ...chunk.metadata // Puis celles du segment (page_number, positions)
                 }
             };
         });
 
-        // 4. Upsert dans Qdrant
-        await this.client.upsert(COLLECTION_NAME, {
-            wait: true,
-            points: points,
-        });
+        // 6. Upsert puis retrait des chunks disparus
+        for (let i = 0; i < points.length; i += UPSERT_BATCH) {
+            await this.client.upsert(COLLECTION_NAME, {
+                wait: true,
+                points: points.slice(i, i + UPSERT_BATCH),
+            });
+        }
+        if (staleIds.length) {
+            await this.client.delete(COLLECTION_NAME, { wait: true, points: staleIds });
+        }
 
-        console.log(`[Qdrant] ${points.length} vecteurs indexés.`);
-        return { count: points.length };
+        const stats = { count: points.length, added: toEmbed.length, removed: staleIds.length, unchanged: points.length - toEmbed.length, segments: segments.length };
+        console.log(`[Qdrant] ${sourceFile} : ${stats.added} ajoutés, ${stats.unchanged} conservés, ${stats.removed} retirés.`);
+        return stats;
     }
 
     /**
-     * Recherche Sémantique (RAG Core)
+     * Points déjà indexés pour un document (par périmètre persona/salon), avec leurs vecteurs.
+     * @returns {Promise<Map<string, {vector: Array<number>, payload: object}>>}
      */
-    async search(query, personaId = null, limit = 5) {
-        const queryVector = (await this.getEmbeddings([query]))[0];
+    async scrollDocumentPoints(scope, sourceFile) {
+        const points = new Map();
+        let offset = undefined;
+        do {
+            const page = await this.client.scroll(COLLECTION_NAME, {
+                filter: { must: [
+                    { key: scope.key, match: { value: scope.value } },
+                    { key: 'source_file', match: { value: sourceFile } }
+                ] },
+                limit: 256,
+                offset,
+                with_payload: true,
+                with_vector: true,
+            });
+            page.points.forEach(p => points.set(String(p.id), { vector: p.vector, payload: p.payload || {} }));
+            offset = page.next_page_offset ?? undefined;
+        } while (offset !== undefined && offset !== null);
+        return points;
+    }
+
+    /**
+     * Reranker configuré (RERANK_PROVIDER), null si désactivé ou mal configuré
+     */
+    get reranker() {
+        if (this._reranker === undefined) {
+            try {
+                this._reranker = createRerankProvider();
+            } catch (e) {
+                console.error('[Qdrant]', e.message);
+                this._reranker = null;
+            }
+        }
+        return this._reranker;
+    }
+
+    /**
+     * Filtre Qdrant : périmètre (persona et/ou salon) et métadonnées du document.
+     * Les métadonnées filtrables viennent du champ meta saisi à l'ingestion :
+     * doc_type (type de document), date (AAAA-MM-JJ) et legal_ref (référence juridique).
+     * @param {object} filters - { docType, legalRef, dateFrom, dateTo }
+     */
+    buildFilter(personaId, roomId, filters = {}) {
+        const scopes = [];
+        if (personaId) scopes.push({ key: 'persona_id', match: { value: personaId } });
+        if (roomId) scopes.push({ key: 'room_id', match: { value: roomId } });
+
+        const must = [];
+        if (filters.docType) must.push({ key: 'doc_type', match: { value: filters.docType } });
+        // Sans index plein texte, Qdrant compare par sous-chaîne ("2021-1104" trouve "Loi n° 2021-1104")
+        if (filters.legalRef) must.push({ key: 'legal_ref', match: { text: filters.legalRef } });
+        if (filters.dateFrom || filters.dateTo) must.push({ key: 'date', range: { gte: filters.dateFrom || undefined, lte: filters.dateTo || undefined } });
+        if (scopes.length === 1) must.push(scopes[0]);
+
+        const filter = {};
+        if (must.length) filter.must = must;
+        if (scopes.length > 1) filter.should = scopes;
+        return Object.keys(filter).length ? filter : undefined;
+    }
 
-        // Filtre strict sur le persona si fourni
-        const filter = personaId ? {
-            must: [
-                { key: 'persona_id', match: { value: personaId } }
-            ]
-        } : undefined;
+    /**
+     * Recherche hybride (RAG Core) : similarité vectorielle et score lexical BM25 fusionnés,
+     * puis reranking optionnel des meilleurs candidats.
+     * Le score renvoyé est compris entre 0 et 1 : RAG_HYBRID_ALPHA * cosinus + (1 - RAG_HYBRID_ALPHA) * BM25
+     * normalisé, ou le score du reranker s'il est utilisé. Le détail figure dans scores.
+     * @param {object} [options]
+     * @param {string} [options.roomId] - Inclut les documents joints à ce salon
+     * @param {object} [options.filters] - Métadonnées : { docType, legalRef, dateFrom, dateTo }
+     * @param {number} [options.scoreThreshold] - Score minimal des extraits retenus
+     * @param {boolean} [options.hybrid=true] - false : recherche vectorielle seule
+     * @param {boolean} [options.rerank=false] - Reclassement par le reranker configuré (RERANK_PROVIDER)
+     */
+    async search(query, personaId = null, limit = 5, options = {}) {
+        await this.ensureReady();
+        const { roomId = null, filters = {}, scoreThreshold = 0, hybrid = true, rerank = false } = options;
+        const filter = this.buildFilter(personaId, roomId, filters);
+        const poolSize = hybrid || rerank ? limit * CANDIDATE_FACTOR : limit;
+        const queryVector = (await this.getEmbeddings([query]))[0];
 
-        const results = await this.client.search(COLLECTION_NAME, {
+        // 1. Candidats vectoriels
+        const candidates = new Map();
+        const dense = await this.client.search(COLLECTION_NAME, {
             vector: queryVector,
             filter: filter,
-            limit: limit,
+            limit: poolSize,
             with_payload: true,
         });
+        dense.forEach(hit => candidates.set(String(hit.id), { payload: hit.payload, dense: hit.score, lexical: 0 }));
+
+        // 2. Candidats lexicaux, dont la similarité vectorielle est recalculée localement
+        if (hybrid) {
+            const lexical = await this.lexicalSearch(query, filter, poolSize);
+            lexical.hits.forEach(hit => {
+                if (!candidates.has(hit.id)) candidates.set(hit.id, { payload: hit.payload, dense: cosine(queryVector, hit.vector), lexical: 0 });
+            });
+            candidates.forEach(c => { c.lexical = lexical.score(c.payload.content); });
+        }
 
-        return results.map(hit => ({
-            text: hit.payload.content,
-            score: hit.score,
-            metadata: {
-                source: hit.payload.source_file,
-                page: hit.payload.page_number
+        // 3. Fusion (BM25 ramené à [0, 1] par le meilleur candidat)
+        let ranked = [...candidates.values()];
+        const maxLexical = Math.max(0, ...ranked.map(c => c.lexical));
+        ranked.forEach(c => {
+            c.scores = hybrid ? { dense: c.dense, lexical: maxLexical ? c.lexical / maxLexical : 0 } : { dense: c.dense };
+            c.score = hybrid ? HYBRID_ALPHA * Math.max(c.dense, 0) + (1 - HYBRID_ALPHA) * c.scores.lexical : c.dense;
+        });
+        ranked.sort((a, b) => b.score - a.score);
+
+        // 4. Reranking : un échec du reranker laisse le classement fusionné
+        if (rerank && ranked.length) {
+            if (!this.reranker) {
+                console.warn('[Qdrant] Reranking demandé mais aucun reranker configuré (RERANK_PROVIDER).');
+            } else {
+                try {
+                    const rerankScores = await this.reranker.rerank(query, ranked.map(c => c.payload.content || ''));
+                    ranked.forEach((c, i) => { c.scores.rerank = rerankScores[i]; c.score = rerankScores[i]; });
+                    ranked.sort((a, b) => b.score - a.score);
+                } catch (e) {
+                    console.warn('[Qdrant] Reranking indisponible:', e.message);
+                }
             }
+        }
+
+        return ranked
+            .filter(c => c.score >= scoreThreshold)
+            .slice(0, limit)
+            .map(({ payload, score, scores }) => ({
+                text: payload.content,
+                score,
+                scores,
+                metadata: {
+                    source: payload.source_file,
+                    page: payload.page_number,
+                    char_start: payload.char_start,
+                    char_end: payload.char_end,
+                    section: payload.section_title,
+                    room_id: payload.room_id || null,
+                    doc_type: payload.doc_type || null,
+                    date: payload.date || null,
+                    legal_ref: payload.legal_ref || null
+                }
+            }));
+    }
+
+    /**
+     * Recherche lexicale BM25 sur le contenu des chunks (index plein texte de Qdrant).
+     * Les fréquences documentaires sont exactes (count) ; la longueur moyenne des chunks
+     * est estimée sur ceux examinés (au plus LEXICAL_SCAN).
+     * @returns {Promise<{hits: Array<{id: string, payload: object, vector: Array<number>, score: number}>, score: function(string): number}>}
+     */
+    async lexicalSearch(query, filter, limit) {
+        const terms = [...new Set(tokenize(query))];
+        if (!terms.length) return { hits: [], score: () => 0 };
+
+        const withTerms = (terms) => ({
+            ...filter,
+            must: [...(filter?.must || []), { should: terms.map(t => ({ key: 'content', match: { text: t } })) }]
+        });
+        const [total, ...frequencies] = await Promise.all([
+            this.client.count(COLLECTION_NAME, { filter, exact: true }),
+            ...terms.map(t => this.client.count(COLLECTION_NAME, { filter: withTerms([t]), exact: true }))
+        ]);
+        const idf = new Map(terms.map((t, i) => {
+            const df = frequencies[i].count;
+            return [t, Math.log(1 + (total.count - df + 0.5) / (df + 0.5))];
         }));
+
+        // Chunks contenant au moins un terme de la requête
+        const points = [];
+        let offset = undefined;
+        do {
+            const page = await this.client.scroll(COLLECTION_NAME, {
+                filter: withTerms(terms),
+                limit: 256,
+                offset,
+                with_payload: true,
+                with_vector: true,
+            });
+            points.push(...page.points);
+            offset = page.next_page_offset ?? undefined;
+        } while (offset !== undefined && offset !== null && points.length < LEXICAL_SCAN);
+
+        const avgLength = points.reduce((sum, p) => sum + tokenize(p.payload.content).length, 0) / (points.length || 1) || 1;
+        const score = (content) => {
+            const tokens = tokenize(content);
+            const tf = new Map();
+            tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+            return terms.reduce((sum, t) => {
+                const f = tf.get(t) || 0;
+                return f ? sum + idf.get(t) * f * (BM25_K1 + 1) / (f + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / avgLength)) : sum;
+            }, 0);
+        };
+
+        const hits = points
+            .map(p => ({ id: String(p.id), payload: p.payload, vector: p.vector, score: score(p.payload.content) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+        return { hits, score };
+    }
+
+    // --- Explorateur de connaissances ---
+
+    /**
+     * Documents réellement indexés pour un persona : nombre de chunks par source_file.
+     * Un document présent dans persona.knowledge mais absent d'ici n'a produit aucun chunk.
+     * @returns {Promise<Array<{source_file: string, chunks: number, pages: number, ingestion_date: string, version: number}>>}
+     */
+    async listSources(personaId) {
+        await this.ensureReady();
+        const sources = new Map();
+        let offset = undefined;
+        do {
+            const page = await this.client.scroll(COLLECTION_NAME, {
+                filter: { must: [{ key: 'persona_id', match: { value: personaId } }] },
+                limit: 256,
+                offset,
+                with_payload: ['source_file', 'page_number', 'ingestion_date', 'version'],
+                with_vector: false,
+            });
+            page.points.forEach(p => {
+                const payload = p.payload || {};
+                const source = sources.get(payload.source_file) || { source_file: payload.source_file, chunks: 0, pages: new Set(), ingestion_date: null, version: null };
+                source.chunks++;
+                if (payload.page_number != null) source.pages.add(payload.page_number);
+                if (payload.ingestion_date && (!source.ingestion_date || payload.ingestion_date > source.ingestion_date)) source.ingestion_date = payload.ingestion_date;
+                if (payload.version != null) source.version = Math.max(source.version || 0, payload.version);
+                sources.set(payload.source_file, source);
+            });
+            offset = page.next_page_offset ?? undefined;
+        } while (offset !== undefined && offset !== null);
+
+        return [...sources.values()]
+            .map(s => ({ ...s, pages: s.pages.size }))
+            .sort((a, b) => String(a.source_file).localeCompare(String(b.source_file)));
+    }
+
+    /**
+     * Chunks d'un document dans l'ordre du découpage (chunk_index), par page de résultats.
+     * Les chunk_index d'un document sont contigus (0..n-1) : la pagination filtre sur leur intervalle.
+     * @returns {Promise<{total: number, offset: number, limit: number, chunks: Array<object>}>}
+     */
+    async listChunks(personaId, sourceFile, { offset = 0, limit = 20 } = {}) {
+        await this.ensureReady();
+        const scope = [
+            { key: 'persona_id', match: { value: personaId } },
+            { key: 'source_file', match: { value: sourceFile } }
+        ];
+        const [{ count: total }, page] = await Promise.all([
+            this.client.count(COLLECTION_NAME, { filter: { must: scope }, exact: true }),
+            this.client.scroll(COLLECTION_NAME, {
+                filter: { must: [...scope, { key: 'chunk_index', range: { gte: offset, lt: offset + limit } }] },
+                limit,
+                with_payload: true,
+                with_vector: false,
+            })
+        ]);
+        const chunks = page.points
+            .map(p => toChunk(p))
+            .sort((a, b) => a.chunk_index - b.chunk_index);
+        return { total, offset, limit, chunks };
+    }
+
+    /**
+     * Chunk complet (texte intégral et payload), s'il appartient au persona.
+     */
+    async getChunk(personaId, chunkId) {
+        await this.ensureReady();
+        const [point] = await this.client.retrieve(COLLECTION_NAME, { ids: [chunkId], with_payload: true, with_vector: false });
+        if (!point || point.payload?.persona_id !== personaId) return null;
+        return { ...toChunk(point), content: point.payload.content };
     }
 
     /**
@@ -161,6 +580,7 @@ class QdrantService {
      * Permet la mise à jour (supprimer avant de réinsérer)
      */
     async deleteKnowledge(personaId, filename = null) {
+        await this.ensureReady();
         const filters = [
             { key: 'persona_id', match: { value: personaId } }
         ];
@@ -176,6 +596,27 @@ class QdrantService {
         });
         console.log(`[Qdrant] Nettoyage effectué pour ${personaId} (Cible: ${filename || 'TOUT'})`);
     }
+
+    /**
+     * Suppression des documents joints à un salon
+     */
+    async deleteRoomKnowledge(roomId, filename = null) {
+        await this.ensureReady();
+        const filters = [
+            { key: 'room_id', match: { value: roomId } }
+        ];
+
+        if (filename) {
+            filters.push({ key: 'source_file', match: { value: filename } });
+        }
+
+        await this.client.delete(COLLECTION_NAME, {
+            filter: {
+                must: filters
+            }
+        });
+        console.log(`[Qdrant] Nettoyage salon ${roomId} (Cible: ${filename || 'TOUT'})`);
+    }
 }
 
 module.exports = new QdrantService();
\ No newline at end of file
@@ -0,0 +1,81 @@
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const LLM_EXCERPT_LENGTH = 600;
+
+/**
+ * Reranker HTTP : API /rerank compatible Cohere, Jina ou Text Embeddings Inference (TEI).
+ * Cohere/Jina renvoient { results: [{ index, relevance_score }] }, TEI un tableau [{ index, score }].
+ */
+class HttpRerankProvider {
+    constructor({ url, apiKey, model }) {
+        this.name = 'http';
+        this.url = url;
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    async rerank(query, documents) {
+        const res = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}) },
+            body: JSON.stringify({ model: this.model, query, documents, texts: documents, top_n: documents.length })
+        });
+        if (!res.ok) throw new Error(`[Rerank] ${res.status} ${await res.text()}`);
+        const json = await res.json();
+        const results = Array.isArray(json) ? json : (json.results || []);
+        const scores = new Array(documents.length).fill(0);
+        results.forEach(r => { scores[r.index] = Number(r.relevance_score ?? r.score ?? 0); });
+        return scores;
+    }
+}
+
+/**
+ * Reranker par le LLM de chat : chaque extrait reçoit une note de pertinence de 0 à 10.
+ * Plus lent et plus coûteux qu'un cross-encoder, mais sans service supplémentaire.
+ */
+class LlmRerankProvider {
+    constructor() {
+        this.name = 'llm';
+    }
+
+    async rerank(query, documents) {
+        const llmService = require('./llmService');
+        const excerpts = documents.map((d, i) => `[${i}] ${d.slice(0, LLM_EXCERPT_LENGTH).replace(/\s+/g, ' ')}`).join('\n\n');
+        const answer = await llmService.chat({
+            system: "Tu évalues la pertinence d'extraits documentaires pour une question. Réponds uniquement par un tableau JSON de notes entières de 0 (hors sujet) à 10 (répond directement), une par extrait, dans l'ordre.",
+            messages: [{ role: 'user', content: `Question : ${query}\n\nExtraits :\n${excerpts}` }],
+            temperature: 0
+        });
+        const match = answer.match(/\[[\s\S]*\]/);
+        const notes = match ? JSON.parse(match[0]) : null;
+        if (!Array.isArray(notes) || notes.length !== documents.length) throw new Error("[Rerank] Réponse du LLM inexploitable");
+        return notes.map(n => Math.min(Math.max(Number(n) || 0, 0), 10) / 10);
+    }
+}
+
+/**
+ * Instancie le reranker selon la configuration (null si désactivé) :
+ * - RERANK_PROVIDER = "none" (défaut) | "http" | "llm"
+ * - RERANK_URL, RERANK_API_KEY, RERANK_MODEL (fournisseur http)
+ */
+function createRerankProvider(env = process.env) {
+    const provider = (env.RERANK_PROVIDER || 'none').toLowerCase();
+
+    switch (provider) {
+        case 'none':
+            return null;
+        case 'http':
+            if (!env.RERANK_URL) throw new Error("[Rerank] RERANK_URL requis pour le fournisseur http");
+            return new HttpRerankProvider({ url: env.RERANK_URL, apiKey: env.RERANK_API_KEY, model: env.RERANK_MODEL || 'BAAI/bge-reranker-v2-m3' });
+        case 'llm':
+            return new LlmRerankProvider();
+        default:
+            throw new Error(`[Rerank] Fournisseur inconnu: ${provider}`);
+    }
+}
+
+module.exports = {
+    createRerankProvider,
+    HttpRerankProvider,
+    LlmRerankProvider,
+};
@@ -0,0 +1,79 @@
+/**
+ * Réglages de la recherche documentaire choisis par requête (panneau "Configuration RAG").
+ * Validés par le schéma retrievalInput (cf. schemas.js), puis normalisés ici pour servir
+ * aussi bien l'orchestrateur natif que le workflow n8n.
+ */
+
+const validationService = require('./validationService');
+const { retrievalInput } = require('./schemas');
+
+const MAX_TOP_K = retrievalInput.properties.topK.maximum;
+
+const DEFAULTS = { topK: 5, scoreThreshold: 0, hybrid: true, rerank: false, filters: {} };
+
+// Paramètres de requête (chaînes) convertis vers les types attendus par retrievalInput ; un champ vide est ignoré
+function fromQuery(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+}
+
+const RetrievalOptions = {
+
+    DEFAULTS,
+    MAX_TOP_K,
+
+    /**
+     * Un reranker est-il configuré côté serveur (RERANK_PROVIDER) ?
+     */
+    rerankAvailable(env = process.env) {
+        return !!env.RERANK_PROVIDER && env.RERANK_PROVIDER.toLowerCase() !== 'none';
+    },
+
+    /**
+     * Valide et normalise les réglages reçus en JSON.
+     * Sans defaults, topK et scoreThreshold ne sont renseignés que s'ils ont été demandés :
+     * les réglages du persona s'appliquent alors (cf. personaSettings).
+     * @param {object} [input] - { topK, scoreThreshold, hybrid, rerank, filters: { docType, legalRef, dateFrom, dateTo } }
+     * @param {{defaults?: boolean}} [options]
+     * @returns {{topK?: number, scoreThreshold?: number, hybrid: boolean, rerank: boolean, filters: object}}
+     */
+    parse(input = {}, { defaults = true } = {}) {
+        const { topK, scoreThreshold, ...base } = DEFAULTS;
+        const options = { ...(defaults ? { topK, scoreThreshold } : {}), ...base, filters: {} };
+        if (input === undefined || input === null) return options;
+        validationService.assert('retrievalInput', input, 'Réglages de recherche invalides');
+
+        ['topK', 'scoreThreshold', 'hybrid', 'rerank'].forEach(key => {
+            if (input[key] !== undefined) options[key] = input[key];
+        });
+        const filters = input.filters || {};
+        ['docType', 'legalRef', 'dateFrom', 'dateTo'].forEach(key => {
+            if (filters[key] && filters[key].trim()) options.filters[key] = filters[key].trim();
+        });
+
+        // Contrôles hors schéma : date réelle et intervalle ordonné
+        const { dateFrom, dateTo } = options.filters;
+        const details = ['dateFrom', 'dateTo']
+            .filter(key => options.filters[key] && Number.isNaN(new Date(options.filters[key]).getTime()))
+            .map(key => ({ path: `filters.${key}`, message: "n'est pas une date valide" }));
+        if (!details.length && dateFrom && dateTo && dateFrom > dateTo) details.push({ path: 'filters.dateFrom', message: 'est postérieure à dateTo' });
+        if (details.length) throw validationService.error(details, 'Réglages de recherche invalides');
+        return options;
+    },
+
+    /**
+     * Réglages transmis en paramètres de requête (GET) : { topK, scoreThreshold, hybrid, rerank, docType, legalRef, dateFrom, dateTo }.
+     * @param {object} query
+     * @param {{defaults?: boolean}} [options]
+     */
+    parseQuery(query = {}, options) {
+        const { docType, legalRef, dateFrom, dateTo, ...rest } = query;
+        const input = { filters: {} };
+        Object.entries(rest).forEach(([key, value]) => { if (fromQuery(value) !== undefined) input[key] = fromQuery(value); });
+        Object.entries({ docType, legalRef, dateFrom, dateTo }).forEach(([key, value]) => { if (value) input.filters[key] = value; });
+        return this.parse(input, options);
+    }
+};
+
+module.exports = RetrievalOptions;
@@ -0,0 +1,350 @@
+/**
+ * Schémas JSON (draft-07, validés par ajv dans validationService).
+ * Les schémas "…Input" décrivent les requêtes (champs inconnus refusés) ;
+ * les schémas "stored…" les données persistées (champs techniques supplémentaires tolérés).
+ */
+
+const ID = { type: 'string', minLength: 1, maxLength: 128 };
+const PERSONA_ID = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' };
+const SHA256 = { type: 'string', pattern: '^[a-f0-9]{64}$' };
+const DAY = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+// Date ou horodatage ISO 8601 (2024-05-01, 2024-05-01T23:59:59.999Z)
+const TIMESTAMP = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d{1,3})?)?(Z|[+-]\\d{2}:\\d{2})?)?$' };
+// Entier positif transmis en paramètre de requête
+const QUERY_INT = { type: 'string', pattern: '^\\d{1,7}$' };
+
+// Champs du payload Qdrant posés par l'ingestion : une métadonnée ne doit pas pouvoir les remplacer
+// (persona_id ou room_id détourneraient un document vers un autre périmètre)
+const RESERVED_META_KEYS = [
+    'content', 'persona_id', 'personaId', 'room_id', 'source_file', 'filename', 'type', 'chunk_index', 'chunk_hash',
+    'char_start', 'char_end', 'page_number', 'section_title', 'heading_path', 'ingestion_date', 'content_hash',
+    'version', 'minio_key'
+];
+
+/**
+ * Métadonnées libres d'un document (champ meta), fusionnées dans le payload de chaque chunk.
+ * Conventions utilisées par les filtres de recherche : doc_type, date (AAAA-MM-JJ), legal_ref.
+ */
+const knowledgeMeta = {
+    type: 'object',
+    maxProperties: 30,
+    propertyNames: { pattern: '^[A-Za-z][A-Za-z0-9_]{0,63}$', not: { enum: RESERVED_META_KEYS } },
+    properties: {
+        doc_type: { type: 'string', minLength: 1, maxLength: 80 },
+        date: DAY,
+        legal_ref: { type: 'string', minLength: 1, maxLength: 200 }
+    },
+    additionalProperties: { type: ['string', 'number', 'boolean'] }
+};
+
+/**
+ * Réglages propres à un ministre (cf. personaSettings) ; un champ absent reprend le réglage de la séance ou du serveur.
+ * topK et scoreThreshold ne s'appliquent que si la question ne les précise pas.
+ * sharedDocuments : base de connaissances du persona ; roomDocuments : documents joints au salon.
+ */
+const personaSettings = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        model: { type: 'string', minLength: 1, maxLength: 100 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        maxTokens: { type: 'integer', minimum: 64, maximum: 16000 },
+        topK: { type: 'integer', minimum: 1, maximum: 20 },
+        scoreThreshold: { type: 'number', minimum: 0, maximum: 1 },
+        sharedDocuments: { type: 'boolean' },
+        roomDocuments: { type: 'boolean' }
+    }
+};
+
+const PERSONA_PROPERTIES = {
+    id: PERSONA_ID,
+    name: { type: 'string', minLength: 1, maxLength: 120 },
+    ministry: { type: 'string', minLength: 1, maxLength: 120 },
+    role: { type: 'string', maxLength: 40 },
+    color: { type: 'string', pattern: '^#[0-9A-Fa-f]{3,8}$' },
+    avatarEmoji: { type: 'string', maxLength: 16 },
+    systemPrompt: { type: 'string', maxLength: 20000 },
+    settings: personaSettings
+};
+
+// POST /api/admin/personas : mise à jour partielle ; knowledge n'est modifiable que par les routes dédiées
+const personaInput = {
+    type: 'object',
+    additionalProperties: false,
+    properties: PERSONA_PROPERTIES
+};
+
+const personaCreateInput = {
+    ...personaInput,
+    required: ['name', 'ministry']
+};
+
+const roomCreateInput = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', maxLength: 120 },
+        selectedPersonaIds: { type: 'array', uniqueItems: true, maxItems: 50, items: PERSONA_ID },
+        memberIds: { type: 'array', uniqueItems: true, items: ID }
+    }
+};
+
+const roomUpdateInput = {
+    type: 'object',
+    additionalProperties: false,
+    minProperties: 1,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 120, pattern: '\\S' },
+        activePersonas: { type: 'array', uniqueItems: true, maxItems: 50, items: PERSONA_ID }
+    }
+};
+
+// POST /api/rooms/:id/fork : message désigné par son id, ou par sa position pour les messages antérieurs aux ids
+const roomForkInput = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        messageId: { type: ['string', 'null'], maxLength: 128 },
+        messageIndex: { type: 'integer', minimum: 0 },
+        name: { type: 'string', maxLength: 120 }
+    }
+};
+
+const roomMembersInput = {
+    type: 'object',
+    required: ['memberIds'],
+    additionalProperties: false,
+    properties: {
+        memberIds: { type: 'array', uniqueItems: true, items: ID }
+    }
+};
+
+// Réglages de recherche envoyés avec une question (cf. retrievalOptions)
+const retrievalInput = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        topK: { type: 'integer', minimum: 1, maximum: 20 },
+        scoreThreshold: { type: 'number', minimum: 0, maximum: 1 },
+        hybrid: { type: 'boolean' },
+        rerank: { type: 'boolean' },
+        filters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                docType: { type: 'string', maxLength: 80 },
+                legalRef: { type: 'string', maxLength: 200 },
+                dateFrom: DAY,
+                dateTo: DAY
+            }
+        }
+    }
+};
+
+const chatInput = {
+    type: 'object',
+    required: ['roomId', 'message'],
+    additionalProperties: false,
+    properties: {
+        roomId: ID,
+        message: { type: 'string', minLength: 1, maxLength: 20000, pattern: '\\S' },
+        model: { type: 'string', maxLength: 100 },
+        // Délai maximal de la réponse (défaut CHAT_TASK_TIMEOUT_MS)
+        timeoutSeconds: { type: 'integer', minimum: 10, maximum: 3600 },
+        retrieval: { $ref: 'retrievalInput' }
+    }
+};
+
+const knowledgeNoteInput = {
+    type: 'object',
+    required: ['title', 'content'],
+    additionalProperties: false,
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 255, pattern: '\\S' },
+        content: { type: 'string', minLength: 1 },
+        meta: { $ref: 'knowledgeMeta' }
+    }
+};
+
+// Génération d'un profil de persona par le LLM (POST /api/gemini/persona)
+const personaGenerateInput = {
+    type: 'object',
+    required: ['ministry'],
+    additionalProperties: false,
+    properties: {
+        ministry: PERSONA_PROPERTIES.ministry
+    }
+};
+
+// Profil proposé par le LLM (champs supplémentaires ignorés)
+const personaDraft = {
+    type: 'object',
+    required: ['name', 'avatarEmoji', 'systemPrompt'],
+    properties: {
+        name: PERSONA_PROPERTIES.name,
+        avatarEmoji: { type: 'string', minLength: 1, maxLength: 16 },
+        systemPrompt: { type: 'string', minLength: 20, maxLength: 20000 }
+    }
+};
+
+// Filtres du journal d'audit (paramètres de requête, donc des chaînes)
+const auditQueryInput = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        actor: { type: 'string', maxLength: 128 },
+        action: { type: 'string', maxLength: 80 },
+        targetType: { type: 'string', maxLength: 40 },
+        targetId: { type: 'string', maxLength: 128 },
+        from: TIMESTAMP,
+        to: TIMESTAMP,
+        limit: QUERY_INT,
+        offset: QUERY_INT,
+        order: { enum: ['asc', 'desc'] }
+    }
+};
+
+// --- Données persistées (contrôlées au démarrage) ---
+
+// Document d'un persona (knowledge) ou d'un salon (files)
+const storedKnowledgeEntry = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        minioKey: { type: 'string' },
+        version: { type: 'integer', minimum: 1 },
+        meta: { type: 'object' },
+        history: { type: 'array', items: { type: 'object' } }
+    }
+};
+
+// Contrôle structurel seulement : les personas antérieurs aux règles de saisie (couleur, emoji, réglages)
+// ne bloquent pas le démarrage, ils sont revalidés à leur prochaine modification
+const STORED_PERSONA_PROPERTIES = {
+    id: ID,
+    name: { type: 'string', minLength: 1 },
+    ministry: { type: 'string', minLength: 1 },
+    role: { type: 'string' },
+    color: { type: 'string' },
+    avatarEmoji: { type: 'string' },
+    systemPrompt: { type: 'string' },
+    settings: { type: 'object' }
+};
+
+const storedPersonas = {
+    type: 'object',
+    required: ['personas'],
+    properties: {
+        personas: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'ministry'],
+                properties: {
+                    ...STORED_PERSONA_PROPERTIES,
+                    knowledge: { type: 'array', items: storedKnowledgeEntry },
+                    knowledgeArchive: { type: 'array', items: storedKnowledgeEntry }
+                }
+            }
+        }
+    }
+};
+
+const storedRooms = {
+    type: 'object',
+    required: ['rooms'],
+    properties: {
+        rooms: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: ID,
+                    name: { type: 'string' },
+                    members: { type: 'array', items: { type: 'string' } },
+                    activePersonas: { type: 'array', items: { type: 'string' } },
+                    files: { type: 'array', items: storedKnowledgeEntry },
+                    messages: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['role'],
+                            properties: { role: { enum: ['user', 'assistant'] } }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// --- Bundles de cabinet ---
+
+// Entrée du manifeste knowledge d'un bundle : ce qui décrit un document, sans état d'indexation ni clé MinIO
+const knowledgeManifestEntry = {
+    type: 'object',
+    required: ['name', 'type'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 255 },
+        type: { enum: ['file', 'text'] },
+        format: { type: 'string', maxLength: 20 },
+        contentHash: SHA256,
+        version: { type: 'integer', minimum: 1 },
+        date: { type: 'string' },
+        meta: { $ref: 'knowledgeMeta' },
+        // Chemin du fichier dans l'archive, si le bundle embarque les documents
+        document: { type: 'string', pattern: '^documents/[A-Za-z0-9_-]+/[^/\\\\]+$' }
+    }
+};
+
+const cabinetPersona = {
+    type: 'object',
+    required: ['id', 'name', 'ministry'],
+    additionalProperties: false,
+    properties: {
+        ...PERSONA_PROPERTIES,
+        knowledge: { type: 'array', items: knowledgeManifestEntry }
+    }
+};
+
+/**
+ * Bundle de cabinet (export/import de personas entre environnements).
+ * version : version du format, incrémentée à chaque changement incompatible.
+ */
+const cabinetBundle = {
+    type: 'object',
+    required: ['format', 'version', 'personas'],
+    additionalProperties: false,
+    properties: {
+        format: { const: 'gouvbrain.cabinet' },
+        version: { type: 'integer', minimum: 1 },
+        exportedAt: { type: 'string' },
+        exportedBy: { type: 'string' },
+        includesDocuments: { type: 'boolean' },
+        personas: { type: 'array', minItems: 1, items: cabinetPersona }
+    }
+};
+
+module.exports = {
+    knowledgeMeta,
+    personaInput,
+    personaCreateInput,
+    roomCreateInput,
+    roomUpdateInput,
+    roomMembersInput,
+    roomForkInput,
+    retrievalInput,
+    chatInput,
+    knowledgeNoteInput,
+    personaGenerateInput,
+    personaDraft,
+    auditQueryInput,
+    storedPersonas,
+    storedRooms,
+    cabinetPersona,
+    cabinetBundle
+};
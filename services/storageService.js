@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Base commune aux backends : un verrou d'écriture par collection.
+ * Chaque collection est un document JSON unique ({ personas: [...] }, { rooms: [...] }, ...).
+ * Les lectures renvoient toujours une copie : modifier l'objet lu n'a aucun effet sans write/update.
+ */
+class DocumentStore {
+    constructor(collections) {
+        this.collections = collections;
+        this.locks = new Map();
+    }
+
+    defaultOf(name) {
+        const collection = this.collections[name];
+        if (!collection) throw new Error(`Collection inconnue: ${name}`);
+        return structuredClone(collection.default);
+    }
+
+    /**
+     * Exécute fn une fois les opérations précédentes sur la collection terminées.
+     */
+    withLock(name, fn) {
+        const previous = this.locks.get(name) || Promise.resolve();
+        const run = previous.then(fn);
+        this.locks.set(name, run.catch(() => {}));
+        return run;
+    }
+
+    async read(name) {
+        return (await this.load(name)) ?? this.defaultOf(name);
+    }
+
+    write(name, data) {
+        return this.withLock(name, () => this.persist(name, data));
+    }
+
+    /**
+     * Lecture-modification-écriture atomique : fn reçoit le document courant et le modifie sur place.
+     * Si fn lève une erreur, rien n'est écrit et l'erreur est propagée.
+     * @returns {Promise<*>} La valeur renvoyée par fn
+     */
+    update(name, fn) {
+        return this.withLock(name, async () => {
+            const data = await this.read(name);
+            const result = await fn(data);
+            await this.persist(name, data);
+            return result;
+        });
+    }
+}
+
+/**
+ * Backend fichiers JSON (développement) : un fichier par collection,
+ * écriture atomique (fichier temporaire puis renommage).
+ */
+class JsonStore extends DocumentStore {
+    async init() {
+        for (const [name, collection] of Object.entries(this.collections)) {
+            if (!fs.existsSync(collection.file)) await this.persist(name, this.defaultOf(name));
+        }
+    }
+
+    async load(name) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.collections[name].file, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    async persist(name, data) {
+        const file = this.collections[name].file;
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+        await fs.promises.rename(tmp, file);
+    }
+}
+
+/**
+ * Backend SQLite (better-sqlite3, chargé à la demande) : une ligne par collection,
+ * écritures transactionnelles, journal WAL.
+ */
+class SqliteStore extends DocumentStore {
+    constructor(collections, dbPath) {
+        super(collections);
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (e) {
+            throw Object.assign(
+                new Error("STORAGE_BACKEND=sqlite nécessite le module better-sqlite3 (npm install better-sqlite3) ; utiliser STORAGE_BACKEND=json en développement"),
+                { code: 'SQLITE_UNAVAILABLE' }
+            );
+        }
+        this.db = new Database(this.dbPath);
+        fs.chmodSync(this.dbPath, 0o600);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`CREATE TABLE IF NOT EXISTS documents (
+            name TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )`);
+        this.selectStmt = this.db.prepare('SELECT data FROM documents WHERE name = ?');
+        this.upsertStmt = this.db.prepare(`INSERT INTO documents (name, data, updated_at) VALUES (@name, @data, @updatedAt)
+            ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`);
+        this.migrate();
+    }
+
+    /**
+     * Import initial des fichiers JSON existants (une seule transaction).
+     * Les fichiers importés sont renommés en .migrated pour ne pas être repris par erreur.
+     */
+    migrate() {
+        const pending = Object.entries(this.collections)
+            .filter(([name, c]) => !this.selectStmt.get(name) && c.file && fs.existsSync(c.file));
+        if (!pending.length) return;
+
+        const imported = pending.map(([name, c]) => ({ name, file: c.file, data: JSON.parse(fs.readFileSync(c.file, 'utf8')) }));
+        this.db.transaction(() => {
+            imported.forEach(({ name, data }) => this.upsertStmt.run({ name, data: JSON.stringify(data), updatedAt: new Date().toISOString() }));
+        })();
+        imported.forEach(({ name, file }) => {
+            fs.renameSync(file, `${file}.migrated`);
+            console.log(`[Storage] ${path.basename(file)} importé dans SQLite (collection "${name}").`);
+        });
+    }
+
+    async load(name) {
+        const row = this.selectStmt.get(name);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async persist(name, data) {
+        this.upsertStmt.run({ name, data: JSON.stringify(data), updatedAt: new Date().toISOString() });
+    }
+}
+
+/**
+ * Stockage des données applicatives (personas, salons, tâches).
+ * Backend choisi par STORAGE_BACKEND : "sqlite" (par défaut) ou "json" (développement).
+ * better-sqlite3 étant une dépendance optionnelle, le backend par défaut se replie sur json s'il n'est pas installé.
+ * Toute modification passe par update() : deux requêtes concurrentes ne peuvent plus s'écraser.
+ */
+class StorageService {
+    constructor() {
+        this.store = null;
+        this.backend = null;
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} options.backend - "sqlite" | "json"
+     * @param {string} options.dbPath - Fichier SQLite
+     * @param {object} options.collections - { nom: { file, default } } (file : fichier JSON, source de la migration en SQLite)
+     * @param {boolean} [options.fallback] - Repli sur json si better-sqlite3 est absent (backend non choisi explicitement)
+     */
+    async init({ backend = 'sqlite', dbPath, collections, fallback = false }) {
+        if (backend === 'json') this.store = new JsonStore(collections);
+        else if (backend === 'sqlite') this.store = new SqliteStore(collections, dbPath);
+        else throw new Error(`STORAGE_BACKEND inconnu: ${backend} (sqlite | json)`);
+        try {
+            await this.store.init();
+        } catch (e) {
+            if (!fallback || e.code !== 'SQLITE_UNAVAILABLE') throw e;
+            console.warn('[Storage] better-sqlite3 indisponible, repli sur le backend json (définir STORAGE_BACKEND pour imposer un backend).');
+            backend = 'json';
+            this.store = new JsonStore(collections);
+            await this.store.init();
+        }
+        this.backend = backend;
+        console.log(`[Storage] Backend ${backend} prêt.`);
+    }
+
+    read(name) { return this.store.read(name); }
+    write(name, data) { return this.store.write(name, data); }
+    update(name, fn) { return this.store.update(name, fn); }
+}
+
+module.exports = new StorageService();
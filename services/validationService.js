@@ -0,0 +1,81 @@
+const Ajv = require('ajv');
+const schemas = require('./schemas');
+
+/**
+ * Validation déclarative des données (JSON Schema via ajv, cf. schemas.js).
+ * Une violation lève une erreur 400 dont details liste les champs fautifs : [{ path, message }].
+ */
+class ValidationService {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true, strict: true, allowUnionTypes: true });
+        Object.entries(schemas).forEach(([name, schema]) => this.ajv.addSchema(schema, name));
+    }
+
+    /**
+     * @param {string} name - Nom du schéma (clé de schemas.js)
+     * @param {*} data
+     * @returns {Array<{path: string, message: string}>} Erreurs (vide si valide)
+     */
+    check(name, data) {
+        const validate = this.ajv.getSchema(name);
+        if (!validate) throw new Error(`Schéma inconnu: ${name}`);
+        if (validate(data)) return [];
+        // Les erreurs internes à propertyNames sont résumées par l'erreur propertyNames qui les suit
+        return validate.errors.filter(e => e.propertyName === undefined).map(toDetail);
+    }
+
+    /**
+     * Lève une erreur 400 structurée si data ne respecte pas le schéma.
+     * @param {string} [label] - Début du message d'erreur
+     */
+    assert(name, data, label = 'Données invalides') {
+        const details = this.check(name, data);
+        if (details.length) throw this.error(details, label);
+        return data;
+    }
+
+    /**
+     * Erreur 400 structurée pour des contrôles hors schéma (références inconnues, doublons...).
+     * @param {Array<{path: string, message: string}>} details
+     */
+    error(details, label = 'Données invalides') {
+        const first = details[0];
+        return Object.assign(new Error(`${label} : ${first.path || 'racine'} ${first.message}`), { status: 400, details });
+    }
+}
+
+/**
+ * Erreur ajv -> { path, message } avec un chemin lisible (personas[0].knowledge[2].name).
+ */
+function toDetail(error) {
+    const segments = error.instancePath.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (error.keyword === 'required') segments.push(error.params.missingProperty);
+    if (error.keyword === 'additionalProperties') segments.push(error.params.additionalProperty);
+    if (error.keyword === 'propertyNames') segments.push(error.params.propertyName);
+    const path = segments.reduce((acc, s) => /^\d+$/.test(s) ? `${acc}[${s}]` : (acc ? `${acc}.${s}` : s), '');
+    return { path, message: describe(error) };
+}
+
+function describe({ keyword, params, message }) {
+    switch (keyword) {
+        case 'required': return 'est requis';
+        case 'additionalProperties': return "n'est pas un champ autorisé";
+        case 'type': return `doit être de type ${params.type}`;
+        case 'enum': return `doit valoir ${params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+        case 'const': return `doit valoir ${JSON.stringify(params.allowedValue)}`;
+        case 'pattern': return 'a un format invalide';
+        case 'minLength': return params.limit === 1 ? 'ne doit pas être vide' : `doit contenir au moins ${params.limit} caractères`;
+        case 'maxLength': return `doit contenir au plus ${params.limit} caractères`;
+        case 'minimum': return `doit être supérieur ou égal à ${params.limit}`;
+        case 'maximum': return `doit être inférieur ou égal à ${params.limit}`;
+        case 'minItems': return `doit contenir au moins ${params.limit} élément(s)`;
+        case 'maxItems': return `doit contenir au plus ${params.limit} élément(s)`;
+        case 'uniqueItems': return `contient des doublons (positions ${params.j} et ${params.i})`;
+        case 'minProperties': return 'ne doit pas être vide';
+        case 'maxProperties': return `doit contenir au plus ${params.limit} champ(s)`;
+        case 'propertyNames': return "n'est pas un nom de champ autorisé (réservé ou invalide)";
+        default: return message;
+    }
+}
+
+module.exports = new ValidationService();
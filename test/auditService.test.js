@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auditService = require('../services/auditService');
+
+const admin = { id: 'u1', username: 'admin', role: 'admin' };
+
+// Journal neuf dans un répertoire temporaire (instance distincte du singleton)
+async function freshLog(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gouvbrain-audit-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const audit = new auditService.constructor();
+    await audit.init(path.join(dir, 'audit.jsonl'));
+    await audit.record({ actor: admin, action: 'room.create', target: { type: 'room', id: 'r1', name: 'Conseil' }, payload: { name: 'Conseil' } });
+    await audit.record({ actor: admin, action: 'knowledge.upload', target: { type: 'persona', id: 'p1' }, details: { file: 'loi.pdf' } });
+    await audit.record({ action: 'auth.login.failed', target: { type: 'user', id: 'u2' } });
+    return audit;
+}
+
+function rewrite(audit, edit) {
+    const lines = fs.readFileSync(audit.filePath, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    edit(lines);
+    fs.writeFileSync(audit.filePath, lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+}
+
+test('verify : chaîne intacte', async t => {
+    const audit = await freshLog(t);
+    assert.deepEqual(await audit.verify(), { ok: true, count: 3, brokenAt: null });
+});
+
+test('verify : chaîne reprise après redémarrage', async t => {
+    const audit = await freshLog(t);
+    const restarted = new auditService.constructor();
+    await restarted.init(audit.filePath);
+    const entry = await restarted.record({ actor: admin, action: 'room.delete', target: { type: 'room', id: 'r1' } });
+    assert.equal(entry.seq, 4);
+    assert.deepEqual(await restarted.verify(), { ok: true, count: 4, brokenAt: null });
+});
+
+test('verify : entrée modifiée détectée', async t => {
+    const audit = await freshLog(t);
+    rewrite(audit, lines => { lines[1].details.file = 'autre.pdf'; });
+    assert.deepEqual(await audit.verify(), { ok: false, count: 3, brokenAt: 2 });
+});
+
+test('verify : entrée supprimée détectée', async t => {
+    const audit = await freshLog(t);
+    rewrite(audit, lines => { lines.splice(1, 1); });
+    assert.deepEqual(await audit.verify(), { ok: false, count: 2, brokenAt: 3 });
+});
+
+test("query : filtres par préfixe d'action, acteur et ordre", async t => {
+    const audit = await freshLog(t);
+    assert.deepEqual((await audit.query({ action: 'knowledge.' })).entries.map(e => e.seq), [2]);
+    assert.deepEqual((await audit.query({ actor: 'admin', order: 'desc' })).entries.map(e => e.seq), [2, 1]);
+    const page = await audit.query({ limit: 1, offset: 1 });
+    assert.equal(page.total, 3);
+    assert.deepEqual(page.entries.map(e => e.seq), [2]);
+});
+
+test('query : filtre illisible refusé (400)', async t => {
+    const audit = await freshLog(t);
+    await assert.rejects(audit.query({ from: 'hier' }), { status: 400 });
+    await assert.rejects(audit.query({ limit: -1 }), { status: 400 });
+});
+
+test('toCsv : formules de tableur neutralisées', () => {
+    const csv = auditService.toCsv([{
+        seq: 1, at: '2024-01-01T00:00:00.000Z', actor: admin, action: 'room.create',
+        target: { type: 'room', id: 'r1', name: '=HYPERLINK("http://x")' }, payloadDigest: null, details: null, ip: null, hash: 'h'
+    }]);
+    assert.match(csv.split('\n')[1], /,"'=HYPERLINK\(""http:\/\/x""\)",/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const cabinetService = require('../services/cabinetService');
+
+const NOTE = Buffer.from('Code de la défense, article L1111-1', 'utf8');
+const NOTE_HASH = crypto.createHash('sha256').update(NOTE).digest('hex');
+
+const personas = [{
+    id: 'defense', name: 'Ministre des Armées', ministry: 'Défense', avatarEmoji: '🛡️', systemPrompt: 'Tu es le ministre des Armées.',
+    knowledge: [{ name: 'code.txt', type: 'file', format: 'txt', contentHash: NOTE_HASH, version: 2, minioKey: 'k/code.txt', status: 'indexed' }]
+}];
+
+const rejection = (path) => e => e.status === 400 && (!path || e.details?.some(d => d.path === path));
+
+test('export JSON relu par parse', async () => {
+    const { buffer, extension, bundle } = await cabinetService.exportBundle(personas, { exportedBy: 'admin' });
+    assert.equal(extension, 'json');
+    assert.deepEqual(bundle.personas[0].knowledge[0], { name: 'code.txt', type: 'file', format: 'txt', contentHash: NOTE_HASH, version: 2 });
+    const parsed = cabinetService.parse(buffer);
+    assert.deepEqual(parsed.bundle, bundle);
+    assert.equal(parsed.documents.size, 0);
+});
+
+test('export ZIP avec documents relu par parse', async () => {
+    const { buffer, extension } = await cabinetService.exportBundle(personas, { includeDocuments: true, readObject: async () => NOTE });
+    assert.equal(extension, 'zip');
+    const { documents } = cabinetService.parse(buffer);
+    assert.deepEqual(documents.get('documents/defense/code.txt'), NOTE);
+});
+
+test("parse : document altéré dans l'archive refusé", async () => {
+    const { buffer } = await cabinetService.exportBundle(personas, { includeDocuments: true, readObject: async () => Buffer.from('autre contenu') });
+    assert.throws(() => cabinetService.parse(buffer), rejection('personas[0].knowledge[0].document'));
+});
+
+test("parse : document référencé absent de l'archive", async () => {
+    const { bundle } = await cabinetService.exportBundle(personas, { includeDocuments: true, readObject: async () => NOTE });
+    const zip = new AdmZip();
+    zip.addFile('cabinet.json', Buffer.from(JSON.stringify(bundle)));
+    assert.throws(() => cabinetService.parse(zip.toBuffer()), rejection('personas[0].knowledge[0].document'));
+});
+
+test('parse : fichiers illisibles ou trop courts refusés en 400', () => {
+    for (const input of [Buffer.alloc(0), Buffer.from('ab'), Buffer.from('{ pas du json')]) {
+        assert.throws(() => cabinetService.parse(input), { status: 400, message: 'Bundle JSON illisible' });
+    }
+    assert.throws(() => cabinetService.parse(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00])), { status: 400, message: 'Archive ZIP illisible' });
+});
+
+test('parse : bundle non conforme, version future ou persona en double', () => {
+    const base = { format: 'gouvbrain.cabinet', version: 1, personas: [{ id: 'a', name: 'A', ministry: 'M' }] };
+    assert.throws(() => cabinetService.parse({ ...base, format: 'autre' }), rejection('format'));
+    assert.throws(() => cabinetService.parse({ ...base, version: 99 }), { status: 400 });
+    assert.throws(() => cabinetService.parse({ ...base, personas: [base.personas[0], base.personas[0]] }), rejection('personas[1].id'));
+});
+
+test("diff : simulation de l'import sans écriture", async () => {
+    const { bundle } = await cabinetService.exportBundle(personas);
+    const incoming = { ...bundle, personas: [...bundle.personas, { id: 'culture', name: 'Ministre', ministry: 'Culture', knowledge: [] }] };
+
+    const [defense, culture] = cabinetService.diff(incoming, [{ ...personas[0], systemPrompt: 'Ancien prompt' }]);
+    assert.equal(defense.action, 'update');
+    assert.deepEqual(defense.fields, ['systemPrompt']);
+    assert.deepEqual(defense.knowledge.unchanged, ['code.txt']);
+    assert.equal(culture.action, 'create');
+
+    const [unchanged] = cabinetService.diff(bundle, personas);
+    assert.equal(unchanged.action, 'unchanged');
+
+    const [missing] = cabinetService.diff(bundle, []);
+    assert.deepEqual(missing.knowledge.missing, ['code.txt']);
+});
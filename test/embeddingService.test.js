@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalHashEmbeddingProvider, createEmbeddingProvider } = require('../services/embeddingService');
+
+const cosine = (a, b) => a.reduce((acc, v, i) => acc + v * b[i], 0);
+
+test('LocalHashEmbeddingProvider : vecteurs normés de la dimension annoncée', async () => {
+    const embedder = new LocalHashEmbeddingProvider({ dimensions: 64 });
+    assert.equal(await embedder.getDimension(), 64);
+    const [vector] = await embedder.embed(['Budget de la défense nationale']);
+    assert.equal(vector.length, 64);
+    assert.ok(Math.abs(cosine(vector, vector) - 1) < 1e-9);
+});
+
+test('LocalHashEmbeddingProvider : déterministe, insensible à la casse et aux accents', async () => {
+    const embedder = new LocalHashEmbeddingProvider();
+    const [a, b, c] = await embedder.embed(['Réforme des retraites', 'REFORME DES RETRAITES', 'Réforme des retraites']);
+    assert.deepEqual(a, c);
+    assert.ok(cosine(a, b) > 0.999);
+});
+
+test('LocalHashEmbeddingProvider : textes proches plus similaires que textes sans rapport', async () => {
+    const embedder = new LocalHashEmbeddingProvider();
+    const [query, close, far] = await embedder.embed(['loi de finances', 'projet de loi de finances rectificative', 'vaccination des bovins']);
+    assert.ok(cosine(query, close) > cosine(query, far));
+});
+
+test('LocalHashEmbeddingProvider : texte vide donne un vecteur nul', async () => {
+    const [vector] = await new LocalHashEmbeddingProvider({ dimensions: 16 }).embed(['  !? ']);
+    assert.deepEqual(vector, new Array(16).fill(0));
+});
+
+test('createEmbeddingProvider : EMBEDDING_PROVIDER=local sans clé ni réseau', () => {
+    const embedder = createEmbeddingProvider({ EMBEDDING_PROVIDER: 'local' });
+    assert.ok(embedder instanceof LocalHashEmbeddingProvider);
+});
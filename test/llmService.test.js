@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const llmService = require('../services/llmService');
+const { MockLlmProvider, createLlmProvider } = require('../services/llmProviders');
+
+const DRAFT = { name: 'Ministre de la Culture', avatarEmoji: '🎭', systemPrompt: 'Tu es le ministre de la Culture et tu défends le patrimoine.' };
+
+test("MockLlmProvider : réponses programmées dans l'ordre, la dernière répétée", async () => {
+    const mock = new MockLlmProvider({ responses: ['un', 'deux'] });
+    assert.equal(await mock.chat({ messages: [] }), 'un');
+    assert.equal(await mock.chat({ messages: [] }), 'deux');
+    assert.equal(await mock.chat({ messages: [] }), 'deux');
+    assert.equal(mock.calls.length, 3);
+});
+
+test('MockLlmProvider : écho de la dernière question sans réponse programmée', async () => {
+    const mock = createLlmProvider({ LLM_PROVIDER: 'mock' });
+    assert.equal(await mock.chat({ messages: [{ role: 'user', content: 'Bonjour' }] }), '[mock] Bonjour');
+});
+
+test('MockLlmProvider : signal déjà interrompu', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(new MockLlmProvider().chat({ messages: [], signal: controller.signal }), { name: 'AbortError' });
+});
+
+test("generateJson : JSON extrait d'un bloc de code", async () => {
+    llmService.setProvider('mock', new MockLlmProvider({ responses: ['Voici :\n```json\n' + JSON.stringify(DRAFT) + '\n```'] }));
+    assert.deepEqual(await llmService.generateJson({ provider: 'mock', schema: 'personaDraft', messages: [] }), DRAFT);
+});
+
+test('generateJson : réponse non conforme renvoyée au modèle avec les erreurs', async () => {
+    const mock = llmService.setProvider('mock', new MockLlmProvider({ responses: ['pas du JSON', { name: 'X' }, DRAFT] }));
+    assert.deepEqual(await llmService.generateJson({ provider: 'mock', schema: 'personaDraft', messages: [] }), DRAFT);
+    assert.equal(mock.calls.length, 3);
+    assert.match(mock.calls[2].messages.at(-1).content, /avatarEmoji/);
+});
+
+test('generateJson : échec 502 détaillé après maxAttempts essais', async () => {
+    llmService.setProvider('mock', new MockLlmProvider({ responses: [{ name: 'X' }] }));
+    await assert.rejects(
+        llmService.generateJson({ provider: 'mock', schema: 'personaDraft', messages: [], maxAttempts: 2 }),
+        e => e.status === 502 && e.details.some(d => d.path === 'avatarEmoji')
+    );
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+const llmService = require('../services/llmService');
+const { MockLlmProvider } = require('../services/llmProviders');
+const memoryService = require('../services/memoryService');
+
+// 30 tours de 400 caractères : les budgets par défaut (12 tours, 6000 caractères) laissent 18 tours hors fenêtre
+const messages = Array.from({ length: 30 }, (_, i) => ({
+    role: i % 2 ? 'assistant' : 'user',
+    content: i % 2 ? { responses: [{ ministry_name: 'Économie', text: `Réponse ${i} `.padEnd(400, '.') }] } : `Question ${i} `.padEnd(400, '?')
+}));
+
+test('build : conversation courte transmise telle quelle, sans résumé', async () => {
+    const mock = llmService.setProvider('mock', new MockLlmProvider());
+    const conversation = await memoryService.build(messages.slice(0, 4));
+    assert.equal(conversation.updated, false);
+    assert.equal(conversation.summary, '');
+    assert.equal(conversation.history.length, 4);
+    assert.equal(conversation.history[1].content, `Économie : ${messages[1].content.responses[0].text}`);
+    assert.equal(mock.calls.length, 0);
+});
+
+test('build : les tours sortis de la fenêtre sont résumés par le LLM', async () => {
+    const mock = llmService.setProvider('mock', new MockLlmProvider({ responses: ['Résumé du conseil'] }));
+    const conversation = await memoryService.build(messages);
+    assert.equal(conversation.updated, true);
+    assert.equal(conversation.history.length, 12);
+    assert.equal(conversation.summary, 'Résumé du conseil');
+    assert.equal(conversation.memory.summarizedCount, 18);
+    assert.equal(mock.calls.length, 1);
+});
+
+test('build : résumé persistant repris, seuls les nouveaux tours sont repliés', async () => {
+    const mock = llmService.setProvider('mock', new MockLlmProvider({ responses: ['Résumé étendu'] }));
+    const conversation = await memoryService.build(messages, { summary: 'Résumé initial', summarizedCount: 10 });
+    assert.equal(conversation.memory.summarizedCount, 18);
+    assert.match(mock.calls[0].messages[0].content, /Résumé initial/);
+    assert.doesNotMatch(mock.calls[0].messages[0].content, /Question 8 /);
+    assert.match(mock.calls[0].messages[0].content, /Question 10 /);
+});
+
+test('build : llm false donne un résumé extractif sans appel au LLM', async () => {
+    const mock = llmService.setProvider('mock', new MockLlmProvider());
+    const conversation = await memoryService.build(messages, {}, { llm: false });
+    assert.equal(conversation.updated, true);
+    assert.equal(conversation.memory.summarizedCount, 18);
+    // Le résumé extractif garde les échanges les plus récents dans la limite de 2000 caractères
+    assert.match(conversation.summary, /Q: Question 16 /);
+    assert.ok(conversation.summary.length <= 2000);
+    assert.equal(mock.calls.length, 0);
+});
+
+test('build : repli extractif quand le LLM échoue', async () => {
+    llmService.setProvider('mock', new MockLlmProvider({ responses: [new Error('LLM indisponible')] }));
+    const conversation = await memoryService.build(messages);
+    assert.equal(conversation.updated, true);
+    assert.match(conversation.summary, /R: Économie : Réponse 17 /);
+});
+
+test('merge : le résumé qui couvre le plus de tours est conservé', () => {
+    const older = { summary: 'A', summarizedCount: 10 };
+    const newer = { summary: 'B', summarizedCount: 18 };
+    assert.equal(memoryService.merge(older, newer), newer);
+    assert.equal(memoryService.merge(newer, older), newer);
+    assert.equal(memoryService.merge(undefined, older), older);
+});
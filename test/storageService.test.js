@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../services/storageService');
+
+let sqliteAvailable = true;
+try { require('better-sqlite3'); } catch (e) { sqliteAvailable = false; }
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gouvbrain-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Service distinct du singleton, sur un répertoire temporaire
+async function openStore(t, backend, dir = tempDir(t)) {
+    const service = new storage.constructor();
+    await service.init({
+        backend,
+        dbPath: path.join(dir, 'gouvbrain.db'),
+        collections: { rooms: { file: path.join(dir, 'rooms.json'), default: { rooms: [] } } }
+    });
+    t.after(() => service.store.db?.close());
+    return service;
+}
+
+for (const backend of ['json', 'sqlite']) {
+    const skip = backend === 'sqlite' && !sqliteAvailable && 'better-sqlite3 absent';
+
+    test(`${backend} : update lit, modifie et persiste le document`, { skip }, async t => {
+        const service = await openStore(t, backend);
+        const result = await service.update('rooms', data => { data.rooms.push({ id: 'r1' }); return data.rooms.length; });
+        assert.equal(result, 1);
+        assert.deepEqual(await service.read('rooms'), { rooms: [{ id: 'r1' }] });
+    });
+
+    test(`${backend} : updates concurrents sérialisés, aucune écriture perdue`, { skip }, async t => {
+        const service = await openStore(t, backend);
+        await Promise.all(Array.from({ length: 20 }, (_, i) => service.update('rooms', async data => {
+            await new Promise(resolve => setImmediate(resolve));
+            data.rooms.push({ id: `r${i}` });
+        })));
+        assert.equal((await service.read('rooms')).rooms.length, 20);
+    });
+
+    test(`${backend} : une erreur dans update n'écrit rien et ne bloque pas la suite`, { skip }, async t => {
+        const service = await openStore(t, backend);
+        await assert.rejects(service.update('rooms', data => { data.rooms.push({ id: 'x' }); throw Object.assign(new Error('refus'), { status: 409 }); }), { status: 409 });
+        await service.update('rooms', data => { data.rooms.push({ id: 'r1' }); });
+        assert.deepEqual((await service.read('rooms')).rooms, [{ id: 'r1' }]);
+    });
+
+    test(`${backend} : les lectures renvoient une copie`, { skip }, async t => {
+        const service = await openStore(t, backend);
+        (await service.read('rooms')).rooms.push({ id: 'fantome' });
+        assert.deepEqual(await service.read('rooms'), { rooms: [] });
+    });
+}
+
+test('sqlite : import initial des fichiers JSON existants', { skip: !sqliteAvailable && 'better-sqlite3 absent' }, async t => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'rooms.json'), JSON.stringify({ rooms: [{ id: 'ancien' }] }));
+    const service = await openStore(t, 'sqlite', dir);
+    assert.deepEqual(await service.read('rooms'), { rooms: [{ id: 'ancien' }] });
+    assert.ok(!fs.existsSync(path.join(dir, 'rooms.json')));
+    assert.ok(fs.existsSync(path.join(dir, 'rooms.json.migrated')));
+});
+
+test('backend inconnu refusé', async () => {
+    await assert.rejects(new storage.constructor().init({ backend: 'mongo', collections: {} }), /STORAGE_BACKEND inconnu/);
+});